@@ -173,6 +173,7 @@ function formatDuration(seconds) {
  * @param {File|Blob} options.audioFile - The audio file to transcribe
  * @param {string} options.apiKey - OpenAI API key
  * @param {string} [options.language='auto'] - Language code or 'auto' for detection
+ * @param {string} [options.prompt] - Names and terms Whisper should expect (its initial prompt)
  * @param {string} [options.responseFormat='verbose_json'] - Response format
  * @param {Function} [options.onProgress] - Progress callback
  * @returns {Promise<Object>} - Transcription result
@@ -181,6 +182,7 @@ async function transcribeAudio({
   audioFile,
   apiKey,
   language = 'auto',
+  prompt = '',
   responseFormat = 'verbose_json',
   onProgress = () => {}
 }) {
@@ -211,11 +213,22 @@ async function transcribeAudio({
   formData.append('model', 'whisper-1');
   formData.append('response_format', responseFormat);
   
+  // Word timings are only available with verbose_json
+  if (responseFormat === 'verbose_json') {
+    formData.append('timestamp_granularities[]', 'segment');
+    formData.append('timestamp_granularities[]', 'word');
+  }
+  
   // Add language if specified (not 'auto')
   if (language && language !== 'auto') {
     formData.append('language', language);
   }
   
+  // Spellings for names and jargon
+  if (prompt) {
+    formData.append('prompt', prompt);
+  }
+  
   // Add temperature for more reliable transcription
   formData.append('temperature', '0');
   
@@ -358,6 +371,27 @@ async function transcribeAudio({
   );
 }
 
+/**
+ * Give each segment the words that fall inside it, like the backend does
+ * @param {Array} segments - Segments sorted by start time
+ * @param {Array} words - Words ({ word, start, end }) sorted by start time
+ * @returns {Array} - Segments with a `words` array
+ */
+function attachWordsToSegments(segments, words) {
+  if (!words.length) return segments;
+  
+  const result = segments.map(segment => ({ ...segment, words: [] }));
+  let index = 0;
+  
+  words.forEach(word => {
+    const middle = (word.start + word.end) / 2;
+    while (index < result.length - 1 && middle >= result[index + 1].start) index++;
+    result[index]?.words.push({ word: word.word, start: word.start, end: word.end });
+  });
+  
+  return result;
+}
+
 /**
  * Parse the API response based on format
  * @param {Response} response - Fetch response object
@@ -372,7 +406,7 @@ async function parseResponse(response, format) {
         text: verboseData.text || '',
         language: verboseData.language || 'unknown',
         duration: verboseData.duration || 0,
-        segments: verboseData.segments || [],
+        segments: attachWordsToSegments(verboseData.segments || [], verboseData.words || []),
         words: verboseData.words || []
       };
       
@@ -443,12 +477,72 @@ function validateApiKeyFormat(apiKey) {
   return apiKey.startsWith('sk-') && apiKey.length >= 40;
 }
 
+/**
+ * Get the display name of a segment's speaker
+ * @param {Object} segment - Transcript segment with an optional 0-based `speaker`
+ * @param {Object} speakerNames - Names the user gave speakers, keyed by index
+ * @returns {string|null} - Speaker name, or null if the segment has no speaker
+ */
+function getSpeakerLabel(segment, speakerNames = {}) {
+  if (!Number.isInteger(segment.speaker)) return null;
+  return speakerNames[segment.speaker] || `Speaker ${segment.speaker + 1}`;
+}
+
+/**
+ * Prefix text with its speaker's name, if the segment has one
+ */
+function withSpeaker(segment, text, speakerNames) {
+  const speaker = getSpeakerLabel(segment, speakerNames);
+  return speaker ? `${speaker}: ${text}` : text;
+}
+
+/**
+ * Check if a transcription was diarized
+ * @param {Object} transcription - Transcription result with segments
+ * @returns {boolean}
+ */
+function hasSpeakers(transcription) {
+  return Boolean(transcription.segments?.some(segment => Number.isInteger(segment.speaker)));
+}
+
+/**
+ * Check if a transcription's segments were translated
+ * @param {Object} transcription - Transcription result with segments
+ * @returns {boolean}
+ */
+function hasTranslation(transcription) {
+  return Boolean(transcription.segments?.some(segment => segment.translation));
+}
+
+/**
+ * A translated transcription as it reads in one view, for display and export
+ * @param {Object} transcription - Transcription result with translated segments
+ * @param {string} view - 'original', 'translation' (translated text only) or 'both' (original, then translation)
+ * @returns {Object} - Transcription with each segment's text replaced; word timings dropped
+ */
+function getTranslationView(transcription, view) {
+  if (view === 'original' || !hasTranslation(transcription)) return transcription;
+  
+  const segments = transcription.segments.map(({ words, ...segment }) => {
+    const translation = (segment.translation || '').trim();
+    const text = view === 'both' ? [segment.text.trim(), translation].filter(Boolean).join('\n') : translation;
+    return { ...segment, text };
+  });
+  
+  return {
+    ...transcription,
+    segments,
+    text: segments.map(segment => segment.text).filter(Boolean).join(view === 'both' ? '\n\n' : ' ')
+  };
+}
+
 /**
  * Format transcription with timestamps
  * @param {Object} transcription - Transcription result with segments
+ * @param {Object} [speakerNames] - Names the user gave speakers, keyed by index
  * @returns {string} - Formatted transcription text
  */
-function formatTranscriptionWithTimestamps(transcription) {
+function formatTranscriptionWithTimestamps(transcription, speakerNames = {}) {
   if (!transcription.segments || transcription.segments.length === 0) {
     return transcription.text;
   }
@@ -456,16 +550,38 @@ function formatTranscriptionWithTimestamps(transcription) {
   return transcription.segments.map(segment => {
     const start = formatDuration(segment.start);
     const end = formatDuration(segment.end);
-    return `[${start} - ${end}] ${segment.text.trim()}`;
+    return `[${start} - ${end}] ${withSpeaker(segment, segment.text.trim(), speakerNames)}`;
   }).join('\n\n');
 }
 
+/**
+ * Format a diarized transcription as one paragraph per speaker turn
+ * @param {Object} transcription - Transcription result with speaker-labelled segments
+ * @param {Object} [speakerNames] - Names the user gave speakers, keyed by index
+ * @returns {string} - Formatted transcription text
+ */
+function formatTranscriptionWithSpeakers(transcription, speakerNames = {}) {
+  const turns = [];
+  
+  transcription.segments.forEach(segment => {
+    const last = turns[turns.length - 1];
+    if (last && last.segment.speaker === segment.speaker) {
+      last.text += ` ${segment.text.trim()}`;
+    } else {
+      turns.push({ segment, text: segment.text.trim() });
+    }
+  });
+  
+  return turns.map(turn => withSpeaker(turn.segment, turn.text, speakerNames)).join('\n\n');
+}
+
 /**
  * Convert transcription to SRT format
  * @param {Object} transcription - Transcription result with segments
+ * @param {Object} [speakerNames] - Names the user gave speakers, keyed by index
  * @returns {string} - SRT formatted text
  */
-function toSRT(transcription) {
+function toSRT(transcription, speakerNames = {}) {
   if (!transcription.segments || transcription.segments.length === 0) {
     return '';
   }
@@ -479,16 +595,18 @@ function toSRT(transcription) {
       return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
     };
     
-    return `${index + 1}\n${formatSRTTime(segment.start)} --> ${formatSRTTime(segment.end)}\n${segment.text.trim()}`;
+    return `${index + 1}\n${formatSRTTime(segment.start)} --> ${formatSRTTime(segment.end)}\n${withSpeaker(segment, segment.text.trim(), speakerNames)}`;
   }).join('\n\n');
 }
 
 /**
  * Convert transcription to VTT format
+ * Speakers become voice tags (<v Name>) so players can style or show them.
  * @param {Object} transcription - Transcription result with segments
+ * @param {Object} [speakerNames] - Names the user gave speakers, keyed by index
  * @returns {string} - VTT formatted text
  */
-function toVTT(transcription) {
+function toVTT(transcription, speakerNames = {}) {
   if (!transcription.segments || transcription.segments.length === 0) {
     return 'WEBVTT\n\n';
   }
@@ -502,7 +620,9 @@ function toVTT(transcription) {
   };
   
   const cues = transcription.segments.map(segment => {
-    return `${formatVTTTime(segment.start)} --> ${formatVTTTime(segment.end)}\n${segment.text.trim()}`;
+    const speaker = getSpeakerLabel(segment, speakerNames);
+    const text = speaker ? `<v ${speaker.replace(/[<>&]/g, '')}>${segment.text.trim()}` : segment.text.trim();
+    return `${formatVTTTime(segment.start)} --> ${formatVTTTime(segment.end)}\n${text}`;
   }).join('\n\n');
   
   return `WEBVTT\n\n${cues}`;
@@ -519,6 +639,11 @@ window.WhisperAPI = {
   validateApiKeyFormat,
   estimateCost,
   formatTranscriptionWithTimestamps,
+  formatTranscriptionWithSpeakers,
+  getSpeakerLabel,
+  hasSpeakers,
+  hasTranslation,
+  getTranslationView,
   toSRT,
   toVTT,
   SUPPORTED_LANGUAGES,
@@ -3,16 +3,40 @@
  * 
  * Handles:
  * - Extension icon click → open side panel
+ * - Watch page "Transcribe with Spoken" button → open side panel and start
  * - Tab monitoring for YouTube video detection
+ * - Playlist and channel detection for batch transcription
  * - Message passing between content script and side panel
  * - Storage operations for API key and settings
+ * - Transcript cache in IndexedDB (see transcript-db.js)
+ * - Full-text search across cached transcriptions (see search-index.js)
  */
 
+import { indexTranscription, removeFromIndex, searchIndex } from './search-index.js';
+import {
+  getTranscript,
+  getLatestTranscript,
+  hasTranscript,
+  listEntries,
+  getAllTranscripts,
+  getUsage,
+  putTranscript,
+  updateTranscript,
+  setPinned,
+  deleteTranscript,
+  clearUnpinned,
+  evictToLimit,
+  getVideoIdFromKey
+} from './transcript-db.js';
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
 const DEBUG = true;
+
+// Transcript cache size limit when settings.cacheLimitMB isn't set
+const DEFAULT_CACHE_LIMIT_MB = 200;
 const YOUTUBE_PATTERNS = [
   /^https?:\/\/(www\.)?youtube\.com\/watch\?.*v=([a-zA-Z0-9_-]{11})/,
   /^https?:\/\/youtu\.be\/([a-zA-Z0-9_-]{11})/,
@@ -20,6 +44,10 @@ const YOUTUBE_PATTERNS = [
   /^https?:\/\/(www\.)?youtube\.com\/shorts\/([a-zA-Z0-9_-]{11})/
 ];
 
+// Pages that may list videos to transcribe as a batch: a playlist (or a video opened
+// from one) or a channel. The server works out which collection the URL means.
+const COLLECTION_PATTERN = /^https?:\/\/(?:www\.)?youtube\.com\/(?:[^#]*[?&]list=|@|channel\/|c\/|user\/)/;
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -61,6 +89,15 @@ function isYouTubeVideoUrl(url) {
   return extractVideoId(url) !== null;
 }
 
+/**
+ * Check if a URL may be a YouTube playlist or channel
+ * @param {string} url - The URL to check
+ * @returns {boolean}
+ */
+function isYouTubeCollectionUrl(url) {
+  return !!url && COLLECTION_PATTERN.test(url);
+}
+
 // =============================================================================
 // SIDE PANEL MANAGEMENT
 // =============================================================================
@@ -194,10 +231,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleGetCachedTranscription(message.data, sendResponse);
       return true;
       
+    case 'GET_TRANSCRIPT_VARIANTS':
+      handleGetTranscriptVariants(message.data, sendResponse);
+      return true;
+      
     case 'SET_CACHED_TRANSCRIPTION':
       handleSetCachedTranscription(message.data, sendResponse);
       return true;
       
+    case 'SAVE_TRANSCRIPT_EDITS':
+      handleSaveTranscriptEdits(message.data, sendResponse);
+      return true;
+      
+    case 'SEARCH_TRANSCRIPTIONS':
+      handleSearchTranscriptions(message.data, sendResponse);
+      return true;
+      
+    case 'LIST_CACHED_TRANSCRIPTIONS':
+      handleListCachedTranscriptions(sendResponse);
+      return true;
+      
+    case 'DELETE_CACHED_TRANSCRIPTION':
+      handleDeleteCachedTranscription(message.data, sendResponse);
+      return true;
+      
+    case 'SET_TRANSCRIPTION_PINNED':
+      handleSetTranscriptionPinned(message.data, sendResponse);
+      return true;
+      
+    case 'GET_GLOSSARY':
+      handleGetGlossary(sendResponse);
+      return true;
+      
+    case 'SET_GLOSSARY':
+      handleSetGlossary(message.data, sendResponse);
+      return true;
+      
+    case 'GET_CAPTION_SETTINGS':
+      handleGetCaptionSettings(sendResponse);
+      return true;
+      
+    case 'SET_CAPTION_SETTINGS':
+      handleSetCaptionSettings(message.data, sendResponse);
+      return true;
+      
     case 'VIDEO_METADATA':
       // Forward video metadata from content script to side panel
       chrome.runtime.sendMessage({
@@ -207,10 +284,65 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       return false;
       
+    case 'PLAYBACK_POSITION':
+      // Forward the player's position from content script to side panel
+      chrome.runtime.sendMessage({
+        type: 'PLAYBACK_POSITION_UPDATE',
+        data: { ...message.data, tabId: sender.tab?.id }
+      }).catch(() => {});
+      sendResponse({ success: true });
+      return false;
+      
+    case 'TRANSCRIBE_VIDEO':
+      // Open before anything async: sidePanel.open needs the click's user gesture
+      openSidePanel(sender.tab.id);
+      handleTranscribeVideo({ ...message.data, tabId: sender.tab.id }, sendResponse);
+      return true;
+      
+    case 'TAKE_PENDING_TRANSCRIPTION':
+      handleTakePendingTranscription(sendResponse);
+      return true;
+      
+    case 'GET_VIDEO_STATUS':
+      handleGetVideoStatus(message.data, sendResponse);
+      return true;
+      
+    case 'GET_CURRENT_COLLECTION':
+      handleGetCurrentCollection(sendResponse);
+      return true;
+      
+    case 'GET_CACHED_VIDEO_IDS':
+      handleGetCachedVideoIds(message.data, sendResponse);
+      return true;
+      
     case 'CLEAR_CACHE':
       handleClearCache(sendResponse);
       return true;
       
+    case 'GET_CACHE_USAGE':
+      handleGetCacheUsage(sendResponse);
+      return true;
+      
+    case 'GET_ACTIVE_JOB':
+      handleGetActiveJob(message.data, sendResponse);
+      return true;
+      
+    case 'SET_ACTIVE_JOB':
+      handleSetActiveJob(message.data, sendResponse);
+      return true;
+      
+    case 'CLEAR_ACTIVE_JOB':
+      handleClearActiveJob(message.data, sendResponse);
+      return true;
+      
+    case 'GET_SPEAKER_NAMES':
+      handleGetSpeakerNames(message.data, sendResponse);
+      return true;
+      
+    case 'SET_SPEAKER_NAMES':
+      handleSetSpeakerNames(message.data, sendResponse);
+      return true;
+      
     default:
       debugLog('Unknown message type:', message.type);
       sendResponse({ error: 'Unknown message type' });
@@ -317,6 +449,9 @@ async function handleSetSettings(settings, sendResponse) {
   try {
     await chrome.storage.local.set({ settings });
     debugLog('Settings saved:', settings);
+    
+    // A lower cache limit applies right away
+    await enforceCacheLimit();
     sendResponse({ success: true });
   } catch (error) {
     debugLog('Error saving settings:', error);
@@ -325,13 +460,48 @@ async function handleSetSettings(settings, sendResponse) {
 }
 
 /**
- * Handle request for cached transcription
+ * Summary of a cached transcript for the library and the variant switcher
+ * @param {Object} entry - Entry from transcript-db
+ * @returns {Object}
  */
-async function handleGetCachedTranscription(videoId, sendResponse) {
+function summarizeEntry(entry) {
+  return {
+    key: entry.key,
+    videoId: entry.videoId,
+    title: entry.title || '',
+    channel: entry.channel || '',
+    duration: entry.duration || null,
+    language: entry.language || null,
+    requestedLanguage: entry.requestedLanguage || null,
+    mode: entry.mode || null,
+    provider: entry.provider || null,
+    model: entry.model || null,
+    options: entry.options || {},
+    edited: !!entry.edited,
+    pinned: !!entry.pinned,
+    bytes: entry.bytes,
+    timestamp: entry.timestamp,
+    lastAccessed: entry.lastAccessed
+  };
+}
+
+/**
+ * Handle request for cached transcription.
+ * A bare video ID gets the variant used most recently; { videoId, key } gets that variant,
+ * and touch: false reads it without making it the most recent (for comparing).
+ */
+async function handleGetCachedTranscription(data, sendResponse) {
   try {
-    const { transcriptionCache } = await chrome.storage.local.get('transcriptionCache');
-    const cache = transcriptionCache || {};
-    sendResponse({ success: true, data: cache[videoId] || null });
+    const transcription = typeof data === 'string'
+      ? await getLatestTranscript(data)
+      : await (data.key ? getTranscript(data.key, { touch: data.touch !== false }) : getLatestTranscript(data.videoId));
+    
+    // Opening a variant makes it the latest, so the caption overlay switches to it too
+    if (transcription && data.key && data.touch !== false) {
+      notifyTranscriptionStatus(transcription.videoId);
+    }
+    
+    sendResponse({ success: true, data: transcription });
   } catch (error) {
     debugLog('Error getting cached transcription:', error);
     sendResponse({ success: false, error: error.message });
@@ -339,52 +509,262 @@ async function handleGetCachedTranscription(videoId, sendResponse) {
 }
 
 /**
- * Handle request to cache a transcription
+ * Handle request for every cached variant of a video's transcript
+ */
+async function handleGetTranscriptVariants(videoId, sendResponse) {
+  try {
+    const variants = (await listEntries(videoId)).map(summarizeEntry);
+    sendResponse({ success: true, data: variants });
+  } catch (error) {
+    debugLog('Error listing transcript variants:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to cache a transcription. Only the variant with the same
+ * mode, provider, model, language and options is replaced.
  */
 async function handleSetCachedTranscription({ videoId, transcription }, sendResponse) {
   try {
-    const { transcriptionCache } = await chrome.storage.local.get('transcriptionCache');
-    let cache = transcriptionCache || {};
+    const { key, keptEdits } = await putTranscript(videoId, transcription);
     
-    // Implement cache size limit (50 items)
-    const cacheKeys = Object.keys(cache);
-    if (cacheKeys.length >= 50) {
-      // Remove oldest entry
-      const oldestKey = cacheKeys.reduce((oldest, key) => {
-        if (!oldest || cache[key].timestamp < cache[oldest].timestamp) {
-          return key;
-        }
-        return oldest;
-      }, null);
+    if (keptEdits) {
+      debugLog('Kept the edited transcription of', key);
+      sendResponse({ success: true, data: { key, keptEdits } });
+      return;
+    }
+    
+    debugLog('Transcription cached for video:', videoId, 'as', key);
+    notifyTranscriptionStatus(videoId);
+    indexTranscription(key, transcription, getAllTranscripts).catch(error => debugLog('Error updating search index:', error));
+    
+    await enforceCacheLimit();
+    sendResponse({ success: true, data: { key, keptEdits } });
+  } catch (error) {
+    debugLog('Error caching transcription:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to save edits to a cached transcription.
+ * The search index and caption overlay pick up the new text.
+ */
+async function handleSaveTranscriptEdits({ key, transcription }, sendResponse) {
+  try {
+    if (!await updateTranscript(key, transcription)) {
+      sendResponse({ success: false, error: 'Transcription not found' });
+      return;
+    }
+    
+    debugLog('Transcription edits saved:', key);
+    notifyTranscriptionStatus(getVideoIdFromKey(key));
+    indexTranscription(key, transcription, getAllTranscripts).catch(error => debugLog('Error updating search index:', error));
+    
+    await enforceCacheLimit();
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error saving transcription edits:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Cache size limit from settings, in bytes
+ * @returns {Promise<number>}
+ */
+async function getCacheLimitBytes() {
+  const { settings } = await chrome.storage.local.get('settings');
+  return (Number(settings?.cacheLimitMB) || DEFAULT_CACHE_LIMIT_MB) * 1024 * 1024;
+}
+
+/**
+ * Evict least recently used transcripts until the cache fits its size limit
+ */
+async function enforceCacheLimit() {
+  const evicted = await evictToLimit(await getCacheLimitBytes());
+  if (!evicted.length) return;
+  
+  debugLog('Evicted cached transcriptions:', evicted);
+  removeFromIndex(evicted.map(entry => entry.key), getAllTranscripts).catch(error => debugLog('Error updating search index:', error));
+  new Set(evicted.map(entry => entry.videoId)).forEach(notifyTranscriptionStatus);
+}
+
+/**
+ * Handle a full-text search across every cached transcription.
+ * Hits are grouped by video, with each matching segment's text and start time.
+ * A video with several matching variants is listed once, for its best-matching variant.
+ */
+async function handleSearchTranscriptions({ query, maxVideos = 20, maxHitsPerVideo = 5 }, sendResponse) {
+  try {
+    const { words, documents } = await searchIndex(query, getAllTranscripts);
+    const results = [];
+    
+    // Documents come best first, so the first variant of each video is kept
+    const videos = new Map();
+    documents.forEach(doc => {
+      const videoId = getVideoIdFromKey(doc.key);
+      if (!videos.has(videoId)) videos.set(videoId, doc);
+    });
+    
+    // Only the videos shown are read back; searching shouldn't count as using them
+    for (const { key, segmentIndexes } of videos.values()) {
+      if (results.length >= maxVideos) break;
       
-      if (oldestKey) {
-        delete cache[oldestKey];
-        debugLog('Removed oldest cache entry:', oldestKey);
-      }
+      const entry = await getTranscript(key, { touch: false });
+      if (!entry) continue;
+      
+      const segments = entry.segments?.length ? entry.segments : [{ start: 0, text: entry.text }];
+      
+      results.push({
+        videoId: entry.videoId,
+        key,
+        title: entry.title || '',
+        channel: entry.channel || '',
+        totalHits: segmentIndexes.length,
+        hits: segmentIndexes.slice(0, maxHitsPerVideo).map(segmentIndex => ({
+          segmentIndex,
+          start: segments[segmentIndex]?.start || 0,
+          text: segments[segmentIndex]?.text?.trim() || ''
+        }))
+      });
     }
     
-    // Add new entry
-    cache[videoId] = {
-      ...transcription,
-      timestamp: Date.now()
-    };
+    sendResponse({ success: true, data: { words, videos: results, totalVideos: videos.size } });
+  } catch (error) {
+    debugLog('Error searching transcriptions:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for the library: a summary of every cached transcription, without segments
+ */
+async function handleListCachedTranscriptions(sendResponse) {
+  try {
+    const entries = (await listEntries()).map(summarizeEntry);
+    
+    sendResponse({ success: true, data: entries });
+  } catch (error) {
+    debugLog('Error listing cached transcriptions:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to delete one cached transcript variant
+ */
+async function handleDeleteCachedTranscription({ videoId, key }, sendResponse) {
+  try {
+    await deleteTranscript(key);
+    debugLog('Cached transcription deleted:', key);
+    removeFromIndex([key], getAllTranscripts).catch(error => debugLog('Error updating search index:', error));
+    notifyTranscriptionStatus(videoId);
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error deleting cached transcription:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to pin or unpin a cached transcript variant
+ */
+async function handleSetTranscriptionPinned({ key, pinned }, sendResponse) {
+  try {
+    if (!await setPinned(key, pinned)) {
+      sendResponse({ success: false, error: 'Transcription not found' });
+      return;
+    }
     
-    await chrome.storage.local.set({ transcriptionCache: cache });
-    debugLog('Transcription cached for video:', videoId);
+    // Unpinning can put the cache back over its limit
+    await enforceCacheLimit();
     sendResponse({ success: true });
   } catch (error) {
-    debugLog('Error caching transcription:', error);
+    debugLog('Error pinning transcription:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
 /**
- * Handle request to clear the transcription cache
+ * Tell open YouTube tabs a video was cached or started/stopped transcribing,
+ * so their caption overlay and Transcribe button badge can catch up
+ * @param {string|null} videoId - null when every video changed
+ */
+async function notifyTranscriptionStatus(videoId) {
+  try {
+    const tabs = await chrome.tabs.query({ url: ['https://www.youtube.com/*', 'https://youtube.com/*'] });
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, { type: 'TRANSCRIPTION_STATUS_CHANGED', data: { videoId } }).catch(() => {});
+    });
+  } catch (error) {
+    debugLog('Error notifying tabs:', error);
+  }
+}
+
+/**
+ * Handle request for the glossary: find-and-replace rules for transcripts
+ */
+async function handleGetGlossary(sendResponse) {
+  try {
+    const { glossary } = await chrome.storage.local.get('glossary');
+    sendResponse({ success: true, data: glossary || [] });
+  } catch (error) {
+    debugLog('Error getting glossary:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to save the glossary
+ */
+async function handleSetGlossary(glossary, sendResponse) {
+  try {
+    await chrome.storage.local.set({ glossary });
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error saving glossary:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for the caption overlay settings
+ */
+async function handleGetCaptionSettings(sendResponse) {
+  try {
+    const { captionSettings } = await chrome.storage.local.get('captionSettings');
+    sendResponse({ success: true, data: captionSettings || {} });
+  } catch (error) {
+    debugLog('Error getting caption settings:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to save the caption overlay settings.
+ * Content scripts restyle their overlay from chrome.storage.onChanged.
+ */
+async function handleSetCaptionSettings(captionSettings, sendResponse) {
+  try {
+    await chrome.storage.local.set({ captionSettings });
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error saving caption settings:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to clear the transcription cache (pinned transcriptions stay)
  */
 async function handleClearCache(sendResponse) {
   try {
-    await chrome.storage.local.remove('transcriptionCache');
+    const removed = await clearUnpinned();
     debugLog('Transcription cache cleared');
+    removeFromIndex(removed, getAllTranscripts).catch(error => debugLog('Error updating search index:', error));
+    notifyTranscriptionStatus(null);
     sendResponse({ success: true });
   } catch (error) {
     debugLog('Error clearing cache:', error);
@@ -392,6 +772,192 @@ async function handleClearCache(sendResponse) {
   }
 }
 
+/**
+ * Handle request for the cache size meter
+ */
+async function handleGetCacheUsage(sendResponse) {
+  try {
+    const usage = await getUsage();
+    sendResponse({ success: true, data: { ...usage, limitBytes: await getCacheLimitBytes() } });
+  } catch (error) {
+    debugLog('Error getting cache usage:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for the backend job running for a video
+ * Active jobs live in session storage so a reopened side panel can reattach.
+ */
+async function handleGetActiveJob(videoId, sendResponse) {
+  try {
+    const { activeJobs } = await chrome.storage.session.get('activeJobs');
+    sendResponse({ success: true, data: (activeJobs || {})[videoId] || null });
+  } catch (error) {
+    debugLog('Error getting active job:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to remember the backend job running for a video
+ */
+async function handleSetActiveJob({ videoId, jobId }, sendResponse) {
+  try {
+    const { activeJobs } = await chrome.storage.session.get('activeJobs');
+    const jobs = activeJobs || {};
+    
+    jobs[videoId] = { jobId, startedAt: Date.now() };
+    
+    await chrome.storage.session.set({ activeJobs: jobs });
+    debugLog('Active job stored for video:', videoId, jobId);
+    notifyTranscriptionStatus(videoId);
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error storing active job:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to forget the backend job for a video
+ */
+async function handleClearActiveJob(videoId, sendResponse) {
+  try {
+    const { activeJobs } = await chrome.storage.session.get('activeJobs');
+    const jobs = activeJobs || {};
+    
+    delete jobs[videoId];
+    
+    await chrome.storage.session.set({ activeJobs: jobs });
+    notifyTranscriptionStatus(videoId);
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error clearing active job:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle a click on the watch page's Transcribe button (the side panel is already opening).
+ * The request waits in session storage until the panel takes it, so it works
+ * whether the panel was open or is still loading.
+ */
+async function handleTranscribeVideo({ videoId, tabId, start }, sendResponse) {
+  try {
+    if (start) {
+      await chrome.storage.session.set({
+        pendingTranscription: { videoId, tabId, requestedAt: Date.now() }
+      });
+      
+      // An already-open panel won't run init again, so nudge it
+      chrome.runtime.sendMessage({ type: 'START_TRANSCRIPTION', data: { videoId } }).catch(() => {});
+    }
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error requesting transcription:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle the side panel claiming a pending Transcribe button click.
+ * It's removed as it's returned so the transcription only starts once.
+ */
+async function handleTakePendingTranscription(sendResponse) {
+  try {
+    const { pendingTranscription } = await chrome.storage.session.get('pendingTranscription');
+    await chrome.storage.session.remove('pendingTranscription');
+    
+    // A click the panel never picked up shouldn't fire minutes later
+    const fresh = pendingTranscription && Date.now() - pendingTranscription.requestedAt < 60 * 1000;
+    sendResponse({ success: true, data: fresh ? pendingTranscription : null });
+  } catch (error) {
+    debugLog('Error taking pending transcription:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for whether a video is cached or being transcribed
+ */
+async function handleGetVideoStatus(videoId, sendResponse) {
+  try {
+    const { activeJobs } = await chrome.storage.session.get('activeJobs');
+    
+    sendResponse({
+      success: true,
+      data: {
+        cached: await hasTranscript(videoId),
+        running: !!(activeJobs || {})[videoId]
+      }
+    });
+  } catch (error) {
+    debugLog('Error getting video status:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for the playlist or channel open in the active tab
+ */
+async function handleGetCurrentCollection(sendResponse) {
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = activeTab?.url;
+    sendResponse({ success: true, data: isYouTubeCollectionUrl(url) ? url : null });
+  } catch (error) {
+    debugLog('Error getting current collection:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for which of a list of videos have a cached transcript
+ */
+async function handleGetCachedVideoIds(videoIds, sendResponse) {
+  try {
+    const cached = await Promise.all(videoIds.map(videoId => hasTranscript(videoId)));
+    sendResponse({ success: true, data: videoIds.filter((videoId, i) => cached[i]) });
+  } catch (error) {
+    debugLog('Error checking cached videos:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request for the names given to a video's speakers
+ * Names are kept per video, apart from the transcription cache, so they survive re-transcribing.
+ */
+async function handleGetSpeakerNames(videoId, sendResponse) {
+  try {
+    const { speakerNames } = await chrome.storage.local.get('speakerNames');
+    sendResponse({ success: true, data: (speakerNames || {})[videoId] || {} });
+  } catch (error) {
+    debugLog('Error getting speaker names:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle request to save the names given to a video's speakers
+ */
+async function handleSetSpeakerNames({ videoId, names }, sendResponse) {
+  try {
+    const { speakerNames } = await chrome.storage.local.get('speakerNames');
+    const allNames = speakerNames || {};
+    
+    allNames[videoId] = names;
+    
+    await chrome.storage.local.set({ speakerNames: allNames });
+    debugLog('Speaker names saved for video:', videoId);
+    sendResponse({ success: true });
+  } catch (error) {
+    debugLog('Error saving speaker names:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
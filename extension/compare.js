@@ -0,0 +1,229 @@
+/**
+ * Transcript Comparison for YouTube Transcriber Extension
+ *
+ * Handles:
+ * - Splitting segments into words with (estimated) times
+ * - Aligning two transcripts of the same video row by row, using the first one's segments
+ * - Word-level diff of each row (equal, substitution, deletion, insertion)
+ * - Approximate word error rate of the second transcript against the first
+ *
+ * Loaded by the side panel before sidepanel.js.
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// A row pair bigger than this many words × words isn't diffed word by word
+const MAX_DIFF_CELLS = 4000000;
+
+// =============================================================================
+// WORDS
+// =============================================================================
+
+/**
+ * Form of a word used for comparing: lowercase, no accents, no punctuation
+ * @param {string} word
+ * @returns {string}
+ */
+function normalizeCompareWord(word) {
+  return word
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Every word of a transcript with the time it's said. Word timestamps are used
+ * when the segment has them (matched the same way the transcript view does);
+ * otherwise times are spread evenly over the segment.
+ * @param {Object} transcription
+ * @returns {Array<{text: string, key: string, time: number}>}
+ */
+function getTimedWords(transcription) {
+  const segments = transcription.segments?.length
+    ? transcription.segments
+    : [{ start: 0, end: transcription.duration || 0, text: transcription.text || '' }];
+  
+  const words = [];
+  
+  segments.forEach(segment => {
+    const tokens = segment.text.trim().split(/\s+/).filter(Boolean);
+    const span = Math.max(0, (segment.end || segment.start) - segment.start);
+    let next = 0;
+    
+    tokens.forEach((token, i) => {
+      const key = normalizeCompareWord(token);
+      if (!key) return;
+      
+      const timed = segment.words?.[next++];
+      words.push({
+        text: token,
+        key,
+        time: timed ? timed.start : segment.start + span * (i + 0.5) / tokens.length
+      });
+    });
+  });
+  
+  return words;
+}
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+/**
+ * Minimal word edit script between two word lists (Levenshtein)
+ * @param {Array<{text: string, key: string}>} a - Reference words
+ * @param {Array<{text: string, key: string}>} b - Compared words
+ * @returns {Array<{type: string, a?: string, b?: string}>|null} - null if too long to diff
+ */
+function diffWords(a, b) {
+  const n = a.length;
+  const m = b.length;
+  
+  if (!n) return b.map(word => ({ type: 'insert', b: word.text }));
+  if (!m) return a.map(word => ({ type: 'delete', a: word.text }));
+  if (n * m > MAX_DIFF_CELLS) return null;
+  
+  // cost[i][j]: edits turning a[i..] into b[j..], flattened
+  const width = m + 1;
+  const cost = new Uint32Array((n + 1) * width);
+  
+  for (let i = n; i >= 0; i--) {
+    for (let j = m; j >= 0; j--) {
+      const cell = i * width + j;
+      if (i === n) {
+        cost[cell] = m - j;
+      } else if (j === m) {
+        cost[cell] = n - i;
+      } else if (a[i].key === b[j].key) {
+        cost[cell] = cost[cell + width + 1];
+      } else {
+        cost[cell] = 1 + Math.min(cost[cell + width + 1], cost[cell + width], cost[cell + 1]);
+      }
+    }
+  }
+  
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  
+  while (i < n || j < m) {
+    const cell = i * width + j;
+    
+    if (i < n && j < m && a[i].key === b[j].key && cost[cell] === cost[cell + width + 1]) {
+      ops.push({ type: 'equal', a: a[i++].text, b: b[j++].text });
+    } else if (i < n && j < m && cost[cell] === cost[cell + width + 1] + 1) {
+      ops.push({ type: 'substitute', a: a[i++].text, b: b[j++].text });
+    } else if (i < n && (j === m || cost[cell] === cost[cell + width] + 1)) {
+      ops.push({ type: 'delete', a: a[i++].text });
+    } else {
+      ops.push({ type: 'insert', b: b[j++].text });
+    }
+  }
+  
+  return ops;
+}
+
+// =============================================================================
+// COMPARING
+// =============================================================================
+
+/**
+ * Compare two transcripts of the same video. Rows follow the first transcript's
+ * segments; each word of the second goes to the row it's said in (or the
+ * nearest one), so timestamps stay in step even when the two split sentences differently.
+ * @param {Object} reference - Transcript treated as correct for the error rate
+ * @param {Object} other
+ * @returns {{rows: Array, stats: {referenceWords: number, substitutions: number, deletions: number, insertions: number, wer: number|null, skippedRows: number}}}
+ */
+function compareTranscripts(reference, other) {
+  const refSegments = reference.segments?.length
+    ? reference.segments
+    : [{ start: 0, end: reference.duration || 0, text: reference.text || '' }];
+  
+  const rows = refSegments.map(segment => ({
+    start: segment.start,
+    end: segment.end,
+    a: [],
+    b: []
+  }));
+  
+  getTimedWords(reference).forEach(word => rows[findRowIndex(rows, word.time)].a.push(word));
+  getTimedWords(other).forEach(word => rows[findRowIndex(rows, word.time)].b.push(word));
+  
+  const stats = { referenceWords: 0, substitutions: 0, deletions: 0, insertions: 0, wer: null, skippedRows: 0 };
+  
+  const compared = rows
+    .filter(row => row.a.length || row.b.length)
+    .map(row => {
+      const ops = diffWords(row.a, row.b);
+      
+      if (!ops) {
+        stats.skippedRows++;
+        return {
+          start: row.start,
+          end: row.end,
+          ops: null,
+          a: row.a.map(word => word.text).join(' '),
+          b: row.b.map(word => word.text).join(' ')
+        };
+      }
+      
+      stats.referenceWords += row.a.length;
+      ops.forEach(op => {
+        if (op.type === 'substitute') stats.substitutions++;
+        if (op.type === 'delete') stats.deletions++;
+        if (op.type === 'insert') stats.insertions++;
+      });
+      
+      return { start: row.start, end: row.end, ops };
+    });
+  
+  if (stats.referenceWords) {
+    stats.wer = (stats.substitutions + stats.deletions + stats.insertions) / stats.referenceWords;
+  }
+  
+  return { rows: compared, stats };
+}
+
+/**
+ * Row a time belongs in: the last row starting at or before it, or the next
+ * one if the time falls in a gap closer to that row's start
+ * @param {Array<{start: number, end: number}>} rows - Sorted by start
+ * @param {number} time
+ * @returns {number}
+ */
+function findRowIndex(rows, time) {
+  let lo = 0;
+  let hi = rows.length - 1;
+  
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (rows[mid].start <= time) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  
+  const row = rows[lo];
+  const next = rows[lo + 1];
+  if (next && time > row.end && next.start - time < time - row.end) {
+    return lo + 1;
+  }
+  return lo;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Make functions available globally for use in sidepanel.js
+window.TranscriptCompare = {
+  compareTranscripts,
+  diffWords,
+  getTimedWords
+};
@@ -5,6 +5,9 @@
  * - YouTube URL detection and video ID extraction
  * - Video metadata extraction (title, duration, thumbnail)
  * - SPA navigation detection using MutationObserver
+ * - Publishing the player's playback position
+ * - Caption overlay of the cached transcript on top of the player
+ * - "Transcribe with Spoken" button next to the like/share actions
  * - Communication with background service worker
  */
 
@@ -220,12 +223,17 @@ function checkForVideoChange() {
   if (currentVideoId !== lastVideoId) {
     lastVideoId = currentVideoId;
     
+    loadCaptionTranscript(currentVideoId);
+    refreshTranscribeStatus(true);
+    
     if (currentVideoId) {
       debugLog('Video changed:', currentVideoId);
       
       // Wait a bit for page content to load
       setTimeout(() => {
         sendVideoMetadata();
+        trackPlayback();
+        injectTranscribeButton();
       }, 1000);
     }
   }
@@ -294,6 +302,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success });
       break;
       
+    case 'GET_PLAYER_TIME':
+      const video = document.querySelector('video');
+      sendResponse({
+        success: !!video,
+        data: video && { currentTime: video.currentTime, duration: video.duration || null }
+      });
+      break;
+      
+    case 'TRANSCRIPTION_STATUS_CHANGED':
+      // No videoId means every video changed (cache cleared)
+      if (!message.data?.videoId || message.data.videoId === extractVideoId()) {
+        loadCaptionTranscript(extractVideoId());
+        refreshTranscribeStatus();
+      }
+      sendResponse({ success: true });
+      break;
+      
     default:
       sendResponse({ success: false, error: 'Unknown message type' });
   }
@@ -320,6 +345,479 @@ function seekVideo(seconds) {
   return false;
 }
 
+// =============================================================================
+// PLAYBACK POSITION
+// =============================================================================
+
+// The <video> element currently reporting its position (YouTube can swap it out)
+let trackedVideo = null;
+
+/**
+ * Send the player's position so the side panel can follow along
+ */
+function sendPlaybackPosition() {
+  if (!isExtensionValid || !chrome.runtime?.id || !trackedVideo) return;
+  
+  try {
+    chrome.runtime.sendMessage({
+      type: 'PLAYBACK_POSITION',
+      data: {
+        videoId: extractVideoId(),
+        currentTime: trackedVideo.currentTime,
+        paused: trackedVideo.paused,
+        playbackRate: trackedVideo.playbackRate
+      }
+    }).catch(error => {
+      if (error.message.includes('Extension context invalidated')) {
+        isExtensionValid = false;
+      }
+    });
+  } catch (e) {
+    if (e.message.includes('Extension context invalidated')) {
+      isExtensionValid = false;
+    }
+  }
+}
+
+function handlePlaybackEvent() {
+  sendPlaybackPosition();
+  updateCaption();
+}
+
+/**
+ * Start publishing timeupdate positions for the page's <video>, if it changed
+ */
+function trackPlayback() {
+  const video = document.querySelector('video');
+  if (!video || video === trackedVideo) return;
+  
+  const events = ['timeupdate', 'seeked', 'play', 'pause', 'ratechange'];
+  
+  if (trackedVideo) {
+    events.forEach(event => trackedVideo.removeEventListener(event, handlePlaybackEvent));
+  }
+  
+  trackedVideo = video;
+  events.forEach(event => video.addEventListener(event, handlePlaybackEvent));
+  debugLog('Tracking playback position');
+}
+
+// =============================================================================
+// CAPTION OVERLAY
+// =============================================================================
+
+// Defaults for the captionSettings object the side panel saves
+const DEFAULT_CAPTION_SETTINGS = {
+  enabled: true,
+  fontSize: 20, // px
+  backgroundOpacity: 0.75,
+  position: 'bottom', // 'bottom' or 'top'; ignored once dragged
+  offset: null, // { x, y } centre of the caption as fractions of the player, after dragging
+  bilingual: true // Second line with segment.translation when the transcript has one
+};
+
+let captionSettings = { ...DEFAULT_CAPTION_SETTINGS };
+let captionSegments = [];
+let captionVideoId = null;
+let captionElement = null;
+
+/**
+ * Fetch the cached transcript for a video and show it over the player
+ * @param {string|null} videoId
+ */
+async function loadCaptionTranscript(videoId) {
+  captionVideoId = videoId;
+  captionSegments = [];
+  updateCaption();
+  
+  if (!videoId || !isExtensionValid || !chrome.runtime?.id) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CACHED_TRANSCRIPTION', data: videoId });
+    
+    // The user may have navigated on while we waited
+    if (videoId !== captionVideoId) return;
+    
+    captionSegments = response?.success && response.data?.segments ? response.data.segments : [];
+    debugLog(`Caption overlay: ${captionSegments.length} segments for ${videoId}`);
+    updateCaption();
+  } catch (error) {
+    debugLog('Error loading transcript for captions:', error);
+    if (error.message.includes('Extension context invalidated')) {
+      isExtensionValid = false;
+    }
+  }
+}
+
+/**
+ * Load caption settings and re-style the overlay whenever they change
+ */
+async function initCaptionSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CAPTION_SETTINGS' });
+    if (response?.success) {
+      captionSettings = { ...DEFAULT_CAPTION_SETTINGS, ...response.data };
+    }
+  } catch (error) {
+    debugLog('Error loading caption settings:', error);
+  }
+  
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.captionSettings) return;
+    
+    captionSettings = { ...DEFAULT_CAPTION_SETTINGS, ...changes.captionSettings.newValue };
+    styleCaption();
+    updateCaption();
+  });
+}
+
+/**
+ * The segment on screen at a time; nothing in the gaps between segments
+ * @param {number} time - Seconds
+ * @returns {Object|null}
+ */
+function findCaptionSegment(time) {
+  let low = 0;
+  let high = captionSegments.length - 1;
+  
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const segment = captionSegments[mid];
+    
+    if (time < segment.start) {
+      high = mid - 1;
+    } else if (time >= segment.end) {
+      low = mid + 1;
+    } else {
+      return segment;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Create the overlay inside the player, or move it into a new player
+ * @returns {HTMLElement|null}
+ */
+function getCaptionElement() {
+  const player = document.querySelector('#movie_player') || document.querySelector('.html5-video-player');
+  if (!player) return null;
+  
+  if (!captionElement) {
+    captionElement = document.createElement('div');
+    captionElement.className = 'spoken-caption';
+    captionElement.title = 'Drag to move';
+    initCaptionDrag(captionElement);
+  }
+  
+  if (captionElement.parentElement !== player) {
+    player.appendChild(captionElement);
+    styleCaption();
+  }
+  
+  return captionElement;
+}
+
+/**
+ * Apply font size, background opacity and position from captionSettings
+ */
+function styleCaption() {
+  if (!captionElement) return;
+  
+  const { fontSize, backgroundOpacity, position, offset } = captionSettings;
+  
+  Object.assign(captionElement.style, {
+    position: 'absolute',
+    zIndex: '60',
+    maxWidth: '80%',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    background: `rgba(8, 8, 8, ${backgroundOpacity})`,
+    color: '#fff',
+    fontSize: `${fontSize}px`,
+    lineHeight: '1.35',
+    fontFamily: '"YouTube Noto", Roboto, Arial, sans-serif',
+    textAlign: 'center',
+    textShadow: '0 0 2px rgba(0, 0, 0, 0.8)',
+    whiteSpace: 'pre-line',
+    cursor: 'move',
+    userSelect: 'none',
+    left: '50%',
+    top: 'auto',
+    bottom: 'auto',
+    transform: 'translateX(-50%)'
+  });
+  
+  if (offset) {
+    captionElement.style.left = `${offset.x * 100}%`;
+    captionElement.style.top = `${offset.y * 100}%`;
+    captionElement.style.transform = 'translate(-50%, -50%)';
+  } else if (position === 'top') {
+    captionElement.style.top = '8%';
+  } else {
+    // Clear of the player controls
+    captionElement.style.bottom = '15%';
+  }
+}
+
+/**
+ * Show the caption for the video's current time
+ */
+function updateCaption() {
+  const segment = captionSettings.enabled && captionSegments.length && trackedVideo
+    && captionVideoId === extractVideoId()
+    ? findCaptionSegment(trackedVideo.currentTime)
+    : null;
+  
+  if (!segment) {
+    if (captionElement) captionElement.style.display = 'none';
+    return;
+  }
+  
+  const element = getCaptionElement();
+  if (!element) return;
+  
+  const lines = [segment.text.trim()];
+  if (captionSettings.bilingual && segment.translation) {
+    lines.push(segment.translation.trim());
+  }
+  
+  // textContent with white-space: pre-line keeps the transcript from injecting markup
+  const text = lines.join('\n');
+  if (element.textContent !== text) {
+    element.textContent = text;
+  }
+  element.style.display = 'block';
+}
+
+/**
+ * Let the user drag the caption anywhere over the player; the spot is saved
+ * as fractions of the player so it survives resizing and fullscreen
+ * @param {HTMLElement} element
+ */
+function initCaptionDrag(element) {
+  let drag = null;
+  
+  // Keep clicks on the caption from toggling playback
+  ['click', 'dblclick', 'mousedown'].forEach(type => {
+    element.addEventListener(type, (e) => e.stopPropagation());
+  });
+  
+  element.addEventListener('pointerdown', (e) => {
+    const box = element.getBoundingClientRect();
+    drag = {
+      pointerId: e.pointerId,
+      dx: e.clientX - (box.left + box.width / 2),
+      dy: e.clientY - (box.top + box.height / 2)
+    };
+    element.setPointerCapture(e.pointerId);
+    e.preventDefault();
+    e.stopPropagation();
+  });
+  
+  element.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    
+    const player = element.parentElement.getBoundingClientRect();
+    const clamp = (value) => Math.min(0.95, Math.max(0.05, value));
+    
+    captionSettings.offset = {
+      x: clamp((e.clientX - drag.dx - player.left) / player.width),
+      y: clamp((e.clientY - drag.dy - player.top) / player.height)
+    };
+    styleCaption();
+  });
+  
+  element.addEventListener('pointerup', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    
+    drag = null;
+    element.releasePointerCapture(e.pointerId);
+    saveCaptionSettings();
+  });
+}
+
+function saveCaptionSettings() {
+  if (!isExtensionValid || !chrome.runtime?.id) return;
+  
+  chrome.runtime.sendMessage({ type: 'SET_CAPTION_SETTINGS', data: captionSettings }).catch(error => {
+    if (error.message.includes('Extension context invalidated')) {
+      isExtensionValid = false;
+    }
+  });
+}
+
+// =============================================================================
+// TRANSCRIBE BUTTON
+// =============================================================================
+
+// Where the button goes, next to the like/share buttons; YouTube has shipped several layouts
+const ACTION_BUTTON_SELECTORS = [
+  'ytd-watch-metadata #top-level-buttons-computed',
+  'ytd-video-primary-info-renderer #top-level-buttons-computed',
+  '#actions #top-level-buttons-computed'
+];
+
+// The actions row renders after the video; keep looking for this long
+const BUTTON_INJECT_RETRIES = 20;
+const BUTTON_INJECT_RETRY_MS = 500;
+
+const STATUS_BADGES = {
+  running: { text: 'Running', color: '#1a73e8' },
+  cached: { text: 'Cached', color: '#5f6368' },
+  done: { text: 'Done', color: '#1e8e3e' }
+};
+
+let transcribeButton = null;
+let transcribeStatus = 'none'; // 'none', 'running', 'cached' or 'done'
+let sawRunning = false; // A job ran for this video while the page was open, so cached means done
+let injectRetryTimer = null;
+
+/**
+ * Add the button to the watch page's actions row, retrying until it renders.
+ * YouTube replaces that row on some navigations, so this runs on every video change.
+ * @param {number} [attempt]
+ */
+function injectTranscribeButton(attempt = 0) {
+  clearTimeout(injectRetryTimer);
+  if (!isExtensionValid || !extractVideoId()) return;
+  
+  const actions = ACTION_BUTTON_SELECTORS
+    .map(selector => document.querySelector(selector))
+    .find(Boolean);
+  
+  if (!actions) {
+    if (attempt < BUTTON_INJECT_RETRIES) {
+      injectRetryTimer = setTimeout(() => injectTranscribeButton(attempt + 1), BUTTON_INJECT_RETRY_MS);
+    }
+    return;
+  }
+  
+  if (!transcribeButton) {
+    transcribeButton = createTranscribeButton();
+  }
+  
+  if (transcribeButton.previousElementSibling !== actions) {
+    actions.after(transcribeButton);
+    debugLog('Transcribe button injected');
+  }
+  
+  renderTranscribeStatus();
+}
+
+/**
+ * @returns {HTMLButtonElement}
+ */
+function createTranscribeButton() {
+  const button = document.createElement('button');
+  button.className = 'spoken-transcribe-button';
+  button.title = 'Open Spoken and transcribe this video';
+  
+  Object.assign(button.style, {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '6px',
+    height: '36px',
+    marginLeft: '8px',
+    padding: '0 16px',
+    border: 'none',
+    borderRadius: '18px',
+    background: 'var(--yt-spec-badge-chip-background, rgba(0, 0, 0, 0.05))',
+    color: 'var(--yt-spec-text-primary, #0f0f0f)',
+    fontFamily: 'Roboto, Arial, sans-serif',
+    fontSize: '14px',
+    fontWeight: '500',
+    whiteSpace: 'nowrap',
+    cursor: 'pointer'
+  });
+  
+  const label = document.createElement('span');
+  label.textContent = 'Transcribe with Spoken';
+  
+  const badge = document.createElement('span');
+  badge.className = 'spoken-transcribe-badge';
+  Object.assign(badge.style, {
+    display: 'none',
+    padding: '1px 6px',
+    borderRadius: '9px',
+    color: '#fff',
+    fontSize: '11px',
+    lineHeight: '16px'
+  });
+  
+  button.append(label, badge);
+  button.addEventListener('click', handleTranscribeButtonClick);
+  return button;
+}
+
+/**
+ * Open the side panel; it starts transcribing unless there's already a transcript or a job
+ */
+function handleTranscribeButtonClick() {
+  if (!isExtensionValid || !chrome.runtime?.id) return;
+  
+  try {
+    // Sent straight from the click so the background can still open the side panel
+    chrome.runtime.sendMessage({
+      type: 'TRANSCRIBE_VIDEO',
+      data: { videoId: extractVideoId(), start: transcribeStatus === 'none' }
+    }).catch(error => {
+      if (error.message.includes('Extension context invalidated')) {
+        isExtensionValid = false;
+      }
+    });
+  } catch (e) {
+    if (e.message.includes('Extension context invalidated')) {
+      isExtensionValid = false;
+    }
+  }
+}
+
+/**
+ * Ask the background whether this video is cached or being transcribed
+ * @param {boolean} [videoChanged] - Forget what happened on the previous video
+ */
+async function refreshTranscribeStatus(videoChanged = false) {
+  const videoId = extractVideoId();
+  
+  if (videoChanged) {
+    sawRunning = false;
+    transcribeStatus = 'none';
+    renderTranscribeStatus();
+  }
+  
+  if (!videoId || !isExtensionValid || !chrome.runtime?.id) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_VIDEO_STATUS', data: videoId });
+    if (!response?.success || videoId !== extractVideoId()) return;
+    
+    const { running, cached } = response.data;
+    if (running) sawRunning = true;
+    
+    transcribeStatus = running ? 'running' : cached ? (sawRunning ? 'done' : 'cached') : 'none';
+    renderTranscribeStatus();
+  } catch (error) {
+    debugLog('Error getting transcription status:', error);
+    if (error.message.includes('Extension context invalidated')) {
+      isExtensionValid = false;
+    }
+  }
+}
+
+function renderTranscribeStatus() {
+  const badge = transcribeButton?.querySelector('.spoken-transcribe-badge');
+  if (!badge) return;
+  
+  const status = STATUS_BADGES[transcribeStatus];
+  badge.style.display = status ? 'inline-block' : 'none';
+  if (status) {
+    badge.textContent = status.text;
+    badge.style.background = status.color;
+  }
+}
+
 // =============================================================================
 // INITIALIZATION
 // =============================================================================
@@ -330,6 +828,9 @@ function seekVideo(seconds) {
 function init() {
   debugLog('Content script initializing...');
   
+  // Caption styling has to be known before the first caption shows
+  initCaptionSettings();
+  
   // Initial video check
   checkForVideoChange();
   
@@ -339,9 +840,15 @@ function init() {
   // Send initial metadata after page is fully loaded
   if (document.readyState === 'complete') {
     sendVideoMetadata();
+    trackPlayback();
+    injectTranscribeButton();
   } else {
     window.addEventListener('load', () => {
-      setTimeout(sendVideoMetadata, 1500);
+      setTimeout(() => {
+        sendVideoMetadata();
+        trackPlayback();
+        injectTranscribeButton();
+      }, 1500);
     });
   }
   
@@ -0,0 +1,161 @@
+/**
+ * Find-and-Replace for YouTube Transcriber Extension
+ *
+ * Handles:
+ * - Turning a rule (plain or regex, whole word, match case) into a RegExp
+ * - Previewing which segments a set of rules would change
+ * - Applying rules to a transcription, as used by the glossary
+ *
+ * A rule is { find, replace, regex, wholeWord, matchCase, enabled }.
+ * Loaded by the side panel before sidepanel.js.
+ */
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+/**
+ * RegExp for a rule. Throws a SyntaxError for an invalid regex.
+ * @param {Object} rule
+ * @returns {RegExp|null} - null if there's nothing to find
+ */
+function buildRuleRegExp(rule) {
+  if (!rule.find) return null;
+  
+  let source = rule.regex ? rule.find : rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (rule.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+  
+  return new RegExp(source, rule.matchCase ? 'gu' : 'giu');
+}
+
+/**
+ * Problem with a rule, for showing next to the inputs
+ * @param {Object} rule
+ * @returns {string|null}
+ */
+function validateRule(rule) {
+  try {
+    const pattern = buildRuleRegExp(rule);
+    if (pattern && pattern.test('')) {
+      return 'That pattern also matches empty text';
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Apply rules to one piece of text in order. Plain rules insert their
+ * replacement literally; regex rules may use $1, $<name> and so on.
+ * @param {string} text
+ * @param {Object[]} rules
+ * @returns {{text: string, count: number}}
+ */
+function applyRulesToText(text, rules) {
+  let count = 0;
+  
+  rules.forEach(rule => {
+    const pattern = buildRuleRegExp(rule);
+    if (!pattern) return;
+    
+    const matches = text.match(pattern);
+    if (!matches) return;
+    
+    count += matches.length;
+    text = text.replace(pattern, rule.regex ? rule.replace : () => rule.replace);
+  });
+  
+  return { text, count };
+}
+
+// =============================================================================
+// TRANSCRIPTIONS
+// =============================================================================
+
+/**
+ * Segments the rules would change, with their text before and after
+ * @param {Object} transcription
+ * @param {Object[]} rules - Enabled rules only
+ * @returns {{changes: Array<{index: number, start: number, before: string, after: string, count: number}>, count: number}}
+ */
+function previewRules(transcription, rules) {
+  const segments = transcription.segments?.length
+    ? transcription.segments
+    : [{ start: 0, text: transcription.text || '' }];
+  
+  const changes = [];
+  let count = 0;
+  
+  segments.forEach((segment, index) => {
+    const result = applyRulesToText(segment.text, rules);
+    if (!result.count || result.text === segment.text) return;
+    
+    changes.push({ index, start: segment.start, before: segment.text, after: result.text, count: result.count });
+    count += result.count;
+  });
+  
+  return { changes, count };
+}
+
+/**
+ * Copy of a segment with new text. Word timings are kept only while the
+ * number of words is unchanged, since they're matched to words by position.
+ * @param {Object} segment
+ * @param {string} text
+ * @returns {Object}
+ */
+function replaceSegmentText(segment, text) {
+  const updated = { ...segment, text };
+  const countWords = (value) => value.trim().split(/\s+/).filter(Boolean).length;
+  
+  if (updated.words && countWords(text) !== countWords(segment.text)) {
+    delete updated.words;
+  }
+  return updated;
+}
+
+/**
+ * Apply rules to a whole transcription
+ * @param {Object} transcription
+ * @param {Object[]} rules - Enabled rules only
+ * @returns {{transcription: Object, count: number}} - A new transcription; the original is untouched
+ */
+function applyRules(transcription, rules) {
+  const { changes, count } = previewRules(transcription, rules);
+  if (!changes.length) return { transcription, count: 0 };
+  
+  if (!transcription.segments?.length) {
+    return { transcription: { ...transcription, text: changes[0].after }, count };
+  }
+  
+  const segments = [...transcription.segments];
+  changes.forEach(change => {
+    segments[change.index] = replaceSegmentText(segments[change.index], change.after);
+  });
+  
+  return {
+    transcription: {
+      ...transcription,
+      segments,
+      text: segments.map(segment => segment.text.trim()).join(' ')
+    },
+    count
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+// Make functions available globally for use in sidepanel.js
+window.TranscriptReplace = {
+  buildRuleRegExp,
+  validateRule,
+  applyRulesToText,
+  previewRules,
+  replaceSegmentText,
+  applyRules
+};
@@ -0,0 +1,311 @@
+/**
+ * Full-text Search Index for YouTube Transcriber Extension
+ *
+ * Handles:
+ * - Inverted index from words to the transcript segments that contain them
+ * - Incremental updates as transcriptions are cached, deleted or cleared
+ * - Keeping the index in IndexedDB next to the transcript cache (see transcript-db.js),
+ *   one record per word, so an update only rewrites the words it touches
+ * - Prefix queries, so results update as the user types
+ *
+ * Imported by the background service worker; the side panel queries it with
+ * the SEARCH_TRANSCRIPTIONS message.
+ */
+
+import { openDb, promisify, transactionDone } from './transcript-db.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Bump when the stored shape changes; older indexes are rebuilt from the cache
+const INDEX_VERSION = 1;
+const VERSION_KEY = 'searchIndexVersion';
+
+// Highest string a word can start with, for prefix key ranges
+const PREFIX_END = '\uffff';
+
+// =============================================================================
+// INDEX STATE
+// =============================================================================
+
+/**
+ * The index is two object stores. Each document is one cached transcript
+ * variant, keyed by its variant key:
+ *   searchDocs:  { key, terms: [term, ...] } so a transcript can be removed without a full scan
+ *   searchTerms: { term, postings: { key: [segmentIndex, ...] } }
+ * Terms are the stores' sorted keys, so a prefix query is a key range rather than a scan.
+ */
+let ready = null;
+
+// =============================================================================
+// TOKENIZING
+// =============================================================================
+
+/**
+ * Split text into lowercase words with accents removed, so "Café" finds "cafe"
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Rebuild the index from the cache once, if it was never built or has an older shape
+ * (e.g. transcripts migrated from chrome.storage were never indexed)
+ * @param {Function} getCache - Resolves to variant key → transcription for every cached transcript
+ * @returns {Promise<void>}
+ */
+function ensureIndex(getCache) {
+  if (!ready) {
+    ready = (async () => {
+      const { [VERSION_KEY]: version } = await chrome.storage.local.get(VERSION_KEY);
+      if (version === INDEX_VERSION) return;
+      
+      await rebuildIndex(await getCache());
+      await chrome.storage.local.set({ [VERSION_KEY]: INDEX_VERSION });
+    })().catch((error) => {
+      // Let the next call try again
+      ready = null;
+      throw error;
+    });
+  }
+  
+  return ready;
+}
+
+/**
+ * Replace the whole index with one built from these transcripts
+ * @param {Object} cache - Variant key → transcription
+ */
+async function rebuildIndex(cache) {
+  const terms = new Map();
+  const docs = [];
+  
+  Object.entries(cache).forEach(([key, transcription]) => {
+    const docTerms = collectTerms(transcription);
+    docTerms.forEach((segmentIndexes, term) => {
+      const postings = terms.get(term) || {};
+      postings[key] = segmentIndexes;
+      terms.set(term, postings);
+    });
+    docs.push({ key, terms: [...docTerms.keys()] });
+  });
+  
+  const db = await openDb();
+  const tx = db.transaction(['searchTerms', 'searchDocs'], 'readwrite');
+  const termStore = tx.objectStore('searchTerms');
+  const docStore = tx.objectStore('searchDocs');
+  
+  termStore.clear();
+  docStore.clear();
+  terms.forEach((postings, term) => termStore.put({ term, postings }));
+  docs.forEach(doc => docStore.put(doc));
+  
+  await transactionDone(tx);
+}
+
+// =============================================================================
+// UPDATES
+// =============================================================================
+
+/**
+ * Words of a transcription's segments (or its whole text, if it has none)
+ * @param {Object} transcription
+ * @returns {Map<string, number[]>} - Term → indexes of the segments it's in
+ */
+function collectTerms(transcription) {
+  const segments = transcription.segments?.length
+    ? transcription.segments
+    : [{ text: transcription.text || '' }];
+  
+  const terms = new Map();
+  
+  segments.forEach((segment, segmentIndex) => {
+    new Set(tokenize(segment.text)).forEach(term => {
+      (terms.get(term) || terms.set(term, []).get(term)).push(segmentIndex);
+    });
+  });
+  
+  return terms;
+}
+
+/**
+ * Read-modify-write the term records for some terms in an open transaction
+ * @param {IDBObjectStore} termStore
+ * @param {string[]} terms
+ * @param {Function} update - (postings, term) → postings, changed in place; empty postings delete the term
+ */
+async function updateTerms(termStore, terms, update) {
+  const records = await Promise.all(terms.map(term => promisify(termStore.get(term))));
+  
+  records.forEach((record, i) => {
+    const term = terms[i];
+    const postings = update(record?.postings || {}, term);
+    
+    if (Object.keys(postings).length) {
+      termStore.put({ term, postings });
+    } else if (record) {
+      termStore.delete(term);
+    }
+  });
+}
+
+/**
+ * @param {IDBTransaction} tx - Read-write on searchTerms and searchDocs
+ * @param {string} key - Variant key
+ * @param {Object} transcription
+ */
+async function addDocument(tx, key, transcription) {
+  const docTerms = collectTerms(transcription);
+  
+  await updateTerms(tx.objectStore('searchTerms'), [...docTerms.keys()], (postings, term) => {
+    postings[key] = docTerms.get(term);
+    return postings;
+  });
+  
+  tx.objectStore('searchDocs').put({ key, terms: [...docTerms.keys()] });
+}
+
+/**
+ * @param {IDBTransaction} tx - Read-write on searchTerms and searchDocs
+ * @param {string} key - Variant key
+ */
+async function removeDocument(tx, key) {
+  const docStore = tx.objectStore('searchDocs');
+  const doc = await promisify(docStore.get(key));
+  if (!doc) return;
+  
+  await updateTerms(tx.objectStore('searchTerms'), doc.terms, (postings) => {
+    delete postings[key];
+    return postings;
+  });
+  
+  docStore.delete(key);
+}
+
+/**
+ * Index a newly cached transcription, replacing any earlier copy of the same variant
+ * @param {string} key - Variant key
+ * @param {Object} transcription
+ * @param {Function} getCache - Resolves to variant key → transcription for every cached transcript
+ */
+export async function indexTranscription(key, transcription, getCache) {
+  await ensureIndex(getCache);
+  
+  const db = await openDb();
+  const tx = db.transaction(['searchTerms', 'searchDocs'], 'readwrite');
+  
+  await removeDocument(tx, key);
+  await addDocument(tx, key, transcription);
+  await transactionDone(tx);
+}
+
+/**
+ * Drop transcripts that left the cache (deleted, evicted or cleared)
+ * @param {string[]} keys - Variant keys
+ * @param {Function} getCache - Resolves to variant key → transcription for every cached transcript
+ */
+export async function removeFromIndex(keys, getCache) {
+  await ensureIndex(getCache);
+  if (!keys.length) return;
+  
+  const db = await openDb();
+  const tx = db.transaction(['searchTerms', 'searchDocs'], 'readwrite');
+  
+  for (const key of keys) {
+    await removeDocument(tx, key);
+  }
+  await transactionDone(tx);
+}
+
+// =============================================================================
+// QUERYING
+// =============================================================================
+
+/**
+ * Segments containing a query word. The last word is treated as a prefix
+ * because it's usually still being typed.
+ * @param {IDBObjectStore} termStore
+ * @param {string} word
+ * @param {boolean} prefix
+ * @returns {Promise<Map<string, Set<number>>>} - Variant key → segment indexes
+ */
+async function findPostings(termStore, word, prefix) {
+  const matches = new Map();
+  const records = prefix
+    ? await promisify(termStore.getAll(IDBKeyRange.bound(word, word + PREFIX_END)))
+    : [await promisify(termStore.get(word))].filter(Boolean);
+  
+  records.forEach(({ postings }) => {
+    Object.entries(postings).forEach(([key, segmentIndexes]) => {
+      const set = matches.get(key) || new Set();
+      segmentIndexes.forEach(i => set.add(i));
+      matches.set(key, set);
+    });
+  });
+  
+  return matches;
+}
+
+/**
+ * Find segments that contain every word of a query
+ * @param {string} query
+ * @param {Function} getCache - Resolves to variant key → transcription for every cached transcript
+ * @returns {Promise<{words: string[], documents: Array<{key: string, segmentIndexes: number[]}>}>}
+ *   Transcripts with the most matching segments first
+ */
+export async function searchIndex(query, getCache) {
+  await ensureIndex(getCache);
+  
+  const words = [...new Set(tokenize(query))];
+  if (!words.length) return { words, documents: [] };
+  
+  const db = await openDb();
+  const termStore = db.transaction('searchTerms').objectStore('searchTerms');
+  const allPostings = await Promise.all(words.map((word, i) => (
+    // A single letter would expand to half the vocabulary
+    findPostings(termStore, word, i === words.length - 1 && word.length > 1)
+  )));
+  
+  let matches = null;
+  
+  allPostings.forEach(postings => {
+    if (!matches) {
+      matches = postings;
+      return;
+    }
+    
+    // Keep only segments every word so far appears in
+    for (const [key, segmentIndexes] of matches) {
+      const other = postings.get(key);
+      const both = new Set([...segmentIndexes].filter(s => other?.has(s)));
+      
+      if (both.size) {
+        matches.set(key, both);
+      } else {
+        matches.delete(key);
+      }
+    }
+  });
+  
+  const documents = [...matches]
+    .map(([key, segmentIndexes]) => ({
+      key,
+      segmentIndexes: [...segmentIndexes].sort((a, b) => a - b)
+    }))
+    .sort((a, b) => b.segmentIndexes.length - a.segmentIndexes.length);
+  
+  return { words, documents };
+}
@@ -16,6 +16,12 @@
 const DEBUG = true;
 const BACKEND_URL = 'http://localhost:3456'; // Backend server for YouTube audio extraction
 
+// Used until the backend's /providers list has loaded (or when it is offline)
+const FALLBACK_PROVIDERS = [
+  { name: 'openai', label: 'OpenAI Whisper', mode: 'api', requiresApiKey: true, apiKeyUrl: 'https://platform.openai.com/api-keys' },
+  { name: 'deepgram', label: 'Deepgram', mode: 'api', requiresApiKey: true, apiKeyUrl: 'https://console.deepgram.com/' }
+];
+
 // =============================================================================
 // STATE MANAGEMENT
 // =============================================================================
@@ -24,18 +30,43 @@ const state = {
   currentVideo: null,
   transcription: null,
   isTranscribing: false,
+  activeJobId: null,
   serverAvailable: false,
+  providers: FALLBACK_PROVIDERS,
   settings: {
     transcriptionMode: 'local', // 'local' or 'api'
-    provider: 'openai', // 'openai' or 'deepgram'
+    provider: 'openai', // Name of an API-mode provider from the backend registry
+    localEngine: '', // Local-mode provider name; empty uses the server's LOCAL_ENGINE
     // apiKey: '', // Deprecated, use apiKeys object
     apiKeys: {
       openai: '',
       deepgram: ''
     },
     language: 'auto',
-    showTimestamps: true
+    translateTo: '', // Also translate transcripts into this language ('' = don't)
+    useCaptions: 'off', // 'manual' or 'any' to use the video's YouTube captions instead of transcribing
+    showTimestamps: true,
+    diarize: false, // Ask the backend to label segments with speakers
+    applyGlossary: false, // Run the glossary over every new transcript
+    vocabulary: '', // Names and jargon sent with every transcription
+    channelVocabulary: {}, // Channel name → extra vocabulary for its videos
+    vocabularyContext: false, // Also send the video's title and channel as context
+    cacheLimitMB: 200 // Least recently used transcripts are evicted above this
   },
+  speakerNames: { videoId: null, names: {} }, // Names the user gave the current video's speakers
+  playback: { videoId: null, time: null, paused: true, rate: 1, receivedAt: 0 }, // Last position the player reported
+  followPlayback: true, // Auto-scroll to the active segment until the user scrolls away
+  library: [], // Summaries of every cached transcription, for the library panel
+  variants: [], // Summaries of the current video's cached transcripts, one per variant
+  pendingVariant: null, // { videoId, key } to open once the library navigates to that video
+  compareResult: null, // Last diff shown in the compare view
+  editing: false, // Transcript shown as editable segments
+  editHistory: { transcription: null, undo: [], redo: [] }, // Segment snapshots of the shown transcript's edits
+  glossary: [], // Saved find-and-replace rules, optionally applied to every new transcript
+  replaceSource: 'find', // What Find & replace previews: 'find' (its own inputs) or 'glossary'
+  replacePreview: null, // Changes the Find & replace panel would make
+  translationView: 'both', // How translated transcripts are shown and exported: 'original', 'translation' or 'both'
+  batch: { url: null, title: '', entries: [], running: false, stopping: false, jobId: null }, // Playlist or channel videos listed for batch transcription
   uploadedFile: null
 };
 
@@ -46,6 +77,31 @@ const state = {
 const elements = {
   // Settings
   settingsToggle: document.getElementById('settingsToggle'),
+  libraryToggle: document.getElementById('libraryToggle'),
+  batchToggle: document.getElementById('batchToggle'),
+  
+  // Batch
+  batchPanel: document.getElementById('batchPanel'),
+  batchUrl: document.getElementById('batchUrl'),
+  batchLoadBtn: document.getElementById('batchLoadBtn'),
+  batchSummary: document.getElementById('batchSummary'),
+  batchSelectAllRow: document.getElementById('batchSelectAllRow'),
+  batchSelectAll: document.getElementById('batchSelectAll'),
+  batchList: document.getElementById('batchList'),
+  batchActions: document.getElementById('batchActions'),
+  batchStartBtn: document.getElementById('batchStartBtn'),
+  batchStopBtn: document.getElementById('batchStopBtn'),
+  
+  // Library
+  libraryPanel: document.getElementById('libraryPanel'),
+  librarySearch: document.getElementById('librarySearch'),
+  librarySearchResults: document.getElementById('librarySearchResults'),
+  libraryBrowse: document.getElementById('libraryBrowse'),
+  libraryFilter: document.getElementById('libraryFilter'),
+  librarySort: document.getElementById('librarySort'),
+  libraryPinnedOnly: document.getElementById('libraryPinnedOnly'),
+  libraryCount: document.getElementById('libraryCount'),
+  libraryList: document.getElementById('libraryList'),
   settingsPanel: document.getElementById('settingsPanel'),
   modeLocal: document.getElementById('modeLocal'),
   modeApi: document.getElementById('modeApi'),
@@ -59,10 +115,37 @@ const elements = {
   // Provider
   providerSection: document.getElementById('providerSection'),
   providerSelect: document.getElementById('providerSelect'),
+  localEngineSection: document.getElementById('localEngineSection'),
+  localEngineSelect: document.getElementById('localEngineSelect'),
   apiKeyLabel: document.getElementById('apiKeyLabel'),
   apiKeyHelpLink: document.getElementById('apiKeyHelpLink'),
   languageSelect: document.getElementById('languageSelect'),
+  translateSelect: document.getElementById('translateSelect'),
+  captionsSelect: document.getElementById('captionsSelect'),
+  rangeSection: document.getElementById('rangeSection'),
+  rangeEnabled: document.getElementById('rangeEnabled'),
+  rangeFields: document.getElementById('rangeFields'),
+  rangeStart: document.getElementById('rangeStart'),
+  rangeEnd: document.getElementById('rangeEnd'),
+  rangeStartNow: document.getElementById('rangeStartNow'),
+  rangeEndNow: document.getElementById('rangeEndNow'),
   showTimestamps: document.getElementById('showTimestamps'),
+  diarizeSpeakers: document.getElementById('diarizeSpeakers'),
+  vocabularyInput: document.getElementById('vocabularyInput'),
+  channelVocabularyGroup: document.getElementById('channelVocabularyGroup'),
+  channelVocabularyLabel: document.getElementById('channelVocabularyLabel'),
+  channelVocabulary: document.getElementById('channelVocabulary'),
+  vocabularyContext: document.getElementById('vocabularyContext'),
+  cacheLimit: document.getElementById('cacheLimit'),
+  cacheUsageBar: document.getElementById('cacheUsageBar'),
+  cacheUsageText: document.getElementById('cacheUsageText'),
+  glossaryList: document.getElementById('glossaryList'),
+  applyGlossary: document.getElementById('applyGlossary'),
+  captionEnabled: document.getElementById('captionEnabled'),
+  captionFontSize: document.getElementById('captionFontSize'),
+  captionPosition: document.getElementById('captionPosition'),
+  captionOpacity: document.getElementById('captionOpacity'),
+  captionBilingual: document.getElementById('captionBilingual'),
   saveSettings: document.getElementById('saveSettings'),
   clearCache: document.getElementById('clearCache'),
   
@@ -81,9 +164,13 @@ const elements = {
   statusIconSuccess: document.getElementById('statusIconSuccess'),
   statusIconError: document.getElementById('statusIconError'),
   statusText: document.getElementById('statusText'),
+  statusProgress: document.getElementById('statusProgress'),
+  statusProgressBar: document.getElementById('statusProgressBar'),
+  statusProgressDetail: document.getElementById('statusProgressDetail'),
   
   // Actions
   transcribeBtn: document.getElementById('transcribeBtn'),
+  cancelBtn: document.getElementById('cancelBtn'),
   audioFileInput: document.getElementById('audioFileInput'),
   selectedFileName: document.getElementById('selectedFileName'),
   costEstimate: document.getElementById('costEstimate'),
@@ -93,8 +180,24 @@ const elements = {
   transcriptionSection: document.getElementById('transcriptionSection'),
   transcriptionContent: document.getElementById('transcriptionContent'),
   transcriptionText: document.getElementById('transcriptionText'),
+  resumeFollowBtn: document.getElementById('resumeFollowBtn'),
   transcriptionVideoTitle: document.getElementById('transcriptionVideoTitle'),
   transcriptionLanguage: document.getElementById('transcriptionLanguage'),
+  transcriptionSource: document.getElementById('transcriptionSource'),
+  variantRow: document.getElementById('variantRow'),
+  variantSelect: document.getElementById('variantSelect'),
+  translationRow: document.getElementById('translationRow'),
+  translationView: document.getElementById('translationView'),
+  compareBtn: document.getElementById('compareBtn'),
+  
+  // Compare
+  compareSection: document.getElementById('compareSection'),
+  closeCompareBtn: document.getElementById('closeCompareBtn'),
+  compareVariantA: document.getElementById('compareVariantA'),
+  compareVariantB: document.getElementById('compareVariantB'),
+  compareStats: document.getElementById('compareStats'),
+  compareChangedOnly: document.getElementById('compareChangedOnly'),
+  compareRows: document.getElementById('compareRows'),
   transcriptionDuration: document.getElementById('transcriptionDuration'),
   wordCount: document.getElementById('wordCount'),
   charCount: document.getElementById('charCount'),
@@ -102,7 +205,24 @@ const elements = {
   searchInput: document.getElementById('searchInput'),
   searchResults: document.getElementById('searchResults'),
   clearSearch: document.getElementById('clearSearch'),
+  
+  // Find & replace
+  replaceToggle: document.getElementById('replaceToggle'),
+  replacePanel: document.getElementById('replacePanel'),
+  replaceFind: document.getElementById('replaceFind'),
+  replaceWith: document.getElementById('replaceWith'),
+  replaceRegex: document.getElementById('replaceRegex'),
+  replaceWholeWord: document.getElementById('replaceWholeWord'),
+  replaceMatchCase: document.getElementById('replaceMatchCase'),
+  replaceSummary: document.getElementById('replaceSummary'),
+  replacePreview: document.getElementById('replacePreview'),
+  replaceApplyBtn: document.getElementById('replaceApplyBtn'),
+  saveGlossaryRuleBtn: document.getElementById('saveGlossaryRuleBtn'),
+  previewGlossaryBtn: document.getElementById('previewGlossaryBtn'),
   copyBtn: document.getElementById('copyBtn'),
+  editBtn: document.getElementById('editBtn'),
+  undoBtn: document.getElementById('undoBtn'),
+  redoBtn: document.getElementById('redoBtn'),
   downloadBtn: document.getElementById('downloadBtn'),
   downloadMenu: document.getElementById('downloadMenu'),
   
@@ -205,11 +325,13 @@ function setTranscriptionMode(mode) {
     elements.modeStatus.className = 'setting-status status-success';
     elements.apiKeySection.classList.add('hidden');
     if (elements.providerSection) elements.providerSection.classList.add('hidden');
+    if (elements.localEngineSection) elements.localEngineSection.classList.remove('hidden');
   } else {
     elements.modeStatus.textContent = '☁️ API mode - Requires API key';
     elements.modeStatus.className = 'setting-status status-warning';
     elements.apiKeySection.classList.remove('hidden');
     if (elements.providerSection) elements.providerSection.classList.remove('hidden');
+    if (elements.localEngineSection) elements.localEngineSection.classList.add('hidden');
     
     handleProviderChange(state.settings.provider || 'openai');
   }
@@ -218,23 +340,108 @@ function setTranscriptionMode(mode) {
   debugLog('Transcription mode set to:', mode);
 }
 
+/**
+ * Get an API-mode provider from the registry by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined}
+ */
+function getApiProvider(name) {
+  return state.providers.find(p => p.mode === 'api' && p.name === name);
+}
+
+/**
+ * Offer every transcription language as a translation target
+ */
+function renderTranslateOptions() {
+  [...elements.languageSelect.options]
+    .filter(option => option.value !== 'auto')
+    .forEach(option => elements.translateSelect.add(new Option(option.textContent, option.value)));
+}
+
+/**
+ * Fill the provider dropdown from the registry
+ */
+function renderProviderOptions() {
+  if (!elements.providerSelect) return;
+  
+  elements.providerSelect.innerHTML = '';
+  state.providers
+    .filter(p => p.mode === 'api')
+    .forEach(p => {
+      const option = document.createElement('option');
+      option.value = p.name;
+      option.textContent = p.pricing?.perMinute
+        ? `${p.label} ($${p.pricing.perMinute}/min)`
+        : p.label;
+      elements.providerSelect.appendChild(option);
+    });
+  
+  elements.providerSelect.value = state.settings.provider;
+  
+  if (!elements.localEngineSelect) return;
+  
+  elements.localEngineSelect.innerHTML = '<option value="">Server default</option>';
+  state.providers
+    .filter(p => p.mode === 'local')
+    .forEach(p => {
+      const option = document.createElement('option');
+      option.value = p.name;
+      option.textContent = p.available === false ? `${p.label} (not installed)` : `${p.label} (${p.model})`;
+      option.disabled = p.available === false;
+      elements.localEngineSelect.appendChild(option);
+    });
+  
+  elements.localEngineSelect.value = state.settings.localEngine || '';
+  // Saved engine is no longer offered by the server
+  if (elements.localEngineSelect.value !== (state.settings.localEngine || '')) {
+    elements.localEngineSelect.value = '';
+  }
+}
+
+/**
+ * Provider name to send with a transcription request for the current mode
+ * @returns {string}
+ */
+function getRequestProvider() {
+  if (state.settings.transcriptionMode === 'local') {
+    return state.settings.localEngine || '';
+  }
+  return state.settings.provider || 'openai';
+}
+
+/**
+ * Load the transcription providers offered by the backend
+ */
+async function loadProviders() {
+  try {
+    const response = await fetch(`${BACKEND_URL}/providers`, {
+      signal: AbortSignal.timeout(3000)
+    });
+    const result = await response.json();
+    
+    if (result.success && result.data.some(p => p.mode === 'api')) {
+      state.providers = result.data;
+    }
+  } catch (error) {
+    debugLog('Could not load providers, using defaults:', error.message);
+  }
+  
+  renderProviderOptions();
+}
+
 /**
  * Handle AI Provider Change
  */
 function handleProviderChange(provider) {
-  if (!['openai', 'deepgram'].includes(provider)) provider = 'openai';
+  if (!getApiProvider(provider)) provider = state.providers.find(p => p.mode === 'api')?.name || 'openai';
+  const info = getApiProvider(provider) || FALLBACK_PROVIDERS[0];
   
   state.settings.provider = provider;
   if (elements.providerSelect) elements.providerSelect.value = provider;
   
   // Update labels
-  if (provider === 'deepgram') {
-    if (elements.apiKeyLabel) elements.apiKeyLabel.textContent = 'Deepgram API Key';
-    if (elements.apiKeyHelpLink) elements.apiKeyHelpLink.href = 'https://console.deepgram.com/';
-  } else {
-    if (elements.apiKeyLabel) elements.apiKeyLabel.textContent = 'OpenAI API Key';
-    if (elements.apiKeyHelpLink) elements.apiKeyHelpLink.href = 'https://platform.openai.com/api-keys';
-  }
+  if (elements.apiKeyLabel) elements.apiKeyLabel.textContent = `${info.label} API Key`;
+  if (elements.apiKeyHelpLink && info.apiKeyUrl) elements.apiKeyHelpLink.href = info.apiKeyUrl;
   
   // Switch input value to the stored key for this provider
   if (!state.settings.apiKeys) state.settings.apiKeys = { openai: '', deepgram: '' };
@@ -269,7 +476,15 @@ async function loadSettings() {
       
     // Update UI
     if (elements.languageSelect) elements.languageSelect.value = state.settings.language || 'auto';
+    elements.translateSelect.value = state.settings.translateTo || '';
+    elements.captionsSelect.value = state.settings.useCaptions || 'off';
     if (elements.showTimestamps) elements.showTimestamps.checked = state.settings.showTimestamps !== false;
+    if (elements.diarizeSpeakers) elements.diarizeSpeakers.checked = !!state.settings.diarize;
+    if (elements.applyGlossary) elements.applyGlossary.checked = !!state.settings.applyGlossary;
+    elements.vocabularyInput.value = state.settings.vocabulary || '';
+    elements.vocabularyContext.checked = !!state.settings.vocabularyContext;
+    renderChannelVocabulary(true);
+    if (elements.cacheLimit) elements.cacheLimit.value = state.settings.cacheLimitMB || 200;
     
     // Provider UI
     if (state.settings.provider) {
@@ -288,6 +503,44 @@ async function loadSettings() {
   }
 }
 
+/**
+ * Show the caption overlay settings. Defaults match DEFAULT_CAPTION_SETTINGS in content.js.
+ */
+async function loadCaptionSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CAPTION_SETTINGS' });
+    const settings = response.success ? response.data : {};
+    
+    elements.captionEnabled.checked = settings.enabled !== false;
+    elements.captionFontSize.value = String(settings.fontSize || 20);
+    elements.captionPosition.value = settings.position || 'bottom';
+    elements.captionOpacity.value = Math.round((settings.backgroundOpacity ?? 0.75) * 100);
+    elements.captionBilingual.checked = settings.bilingual !== false;
+  } catch (error) {
+    debugLog('Error loading caption settings:', error);
+  }
+}
+
+/**
+ * Save a caption overlay change right away so the player restyles as the user adjusts it
+ * @param {Object} changes - Fields of captionSettings to overwrite
+ */
+async function updateCaptionSettings(changes) {
+  try {
+    // Re-read first: the caption may have been dragged on the page since we loaded
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CAPTION_SETTINGS' });
+    const current = response.success ? response.data : {};
+    
+    await chrome.runtime.sendMessage({
+      type: 'SET_CAPTION_SETTINGS',
+      data: { ...current, ...changes }
+    });
+  } catch (error) {
+    debugLog('Error saving caption settings:', error);
+    showToast('Failed to save caption settings', 'error');
+  }
+}
+
 /**
  * Save settings to storage
  */
@@ -295,9 +548,18 @@ async function saveSettings() {
   try {
     const currentKey = elements.apiKeyInput.value.trim();
     const language = elements.languageSelect.value;
+    const translateTo = elements.translateSelect.value;
+    const useCaptions = elements.captionsSelect.value;
     const showTimestamps = elements.showTimestamps.checked;
+    const diarize = elements.diarizeSpeakers ? elements.diarizeSpeakers.checked : false;
+    const applyGlossary = elements.applyGlossary.checked;
+    const vocabulary = elements.vocabularyInput.value.trim();
+    const vocabularyContext = elements.vocabularyContext.checked;
+    const channelVocabulary = getEditedChannelVocabulary();
     const transcriptionMode = state.settings.transcriptionMode;
     const provider = state.settings.provider || 'openai';
+    const localEngine = elements.localEngineSelect ? elements.localEngineSelect.value : '';
+    const cacheLimitMB = Math.max(10, parseInt(elements.cacheLimit.value, 10) || 200);
     
     // Update state apiKeys
     if (!state.settings.apiKeys) state.settings.apiKeys = {};
@@ -308,9 +570,18 @@ async function saveSettings() {
       type: 'SET_SETTINGS',
       data: { 
         language, 
+        translateTo,
+        useCaptions,
         showTimestamps, 
+        diarize,
+        applyGlossary,
+        vocabulary,
+        channelVocabulary,
+        vocabularyContext,
         transcriptionMode,
         provider,
+        localEngine,
+        cacheLimitMB,
         apiKeys: state.settings.apiKeys
       }
     });
@@ -323,10 +594,21 @@ async function saveSettings() {
     state.settings = { 
         ...state.settings, 
         language, 
+        translateTo,
+        useCaptions,
         showTimestamps, 
+        diarize,
+        applyGlossary,
+        vocabulary,
+        channelVocabulary,
+        vocabularyContext,
         transcriptionMode,
-        provider // apiKeys already updated in object reference above
+        provider, // apiKeys already updated in object reference above
+        localEngine,
+        cacheLimitMB
     };
+    elements.cacheLimit.value = cacheLimitMB;
+    updateCacheUsage();
     
     updateApiKeyStatus(!!currentKey);
     
@@ -358,6 +640,10 @@ function updateApiKeyStatus(hasKey) {
 function toggleSettings() {
   elements.settingsPanel.classList.toggle('hidden');
   elements.settingsToggle.classList.toggle('active');
+  
+  if (!elements.settingsPanel.classList.contains('hidden')) {
+    updateCacheUsage();
+  }
 }
 
 /**
@@ -375,19 +661,191 @@ function toggleApiKeyVisibility() {
   }
 }
 
+/**
+ * Show how much of the transcript cache limit is used
+ */
+async function updateCacheUsage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_USAGE' });
+    if (!response.success) throw new Error(response.error);
+    
+    const { bytes, count, pinnedBytes, limitBytes } = response.data;
+    const percent = Math.min(100, bytes / limitBytes * 100);
+    const size = window.Utils.formatFileSize;
+    
+    elements.cacheUsageBar.style.width = `${percent}%`;
+    elements.cacheUsageBar.classList.toggle('full', percent >= 90);
+    elements.cacheUsageText.textContent = `${size(bytes)} of ${size(limitBytes)} used by ${count} transcript${count !== 1 ? 's' : ''}`
+      + (pinnedBytes ? ` (${size(pinnedBytes)} pinned)` : '');
+  } catch (error) {
+    debugLog('Error getting cache usage:', error);
+  }
+}
+
 /**
  * Clear transcription cache
  */
 async function clearCache() {
   try {
     await chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
-    showToast('Cache cleared successfully', 'success');
+    showToast('Cache cleared (pinned transcripts kept)', 'success');
+    updateCacheUsage();
+    
+    if (!elements.libraryPanel.classList.contains('hidden')) {
+      loadLibrary();
+    }
   } catch (error) {
     debugLog('Error clearing cache:', error);
     showToast('Failed to clear cache', 'error');
   }
 }
 
+// =============================================================================
+// VOCABULARY
+// =============================================================================
+
+/**
+ * Split a vocabulary box into terms (one per line or comma-separated)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseVocabulary(text) {
+  return (text || '').split(/[,\n]/).map(term => term.trim()).filter(Boolean);
+}
+
+/**
+ * Show the current video's channel vocabulary in settings
+ * The box keeps what's typed in it until the channel changes.
+ * @param {boolean} [force] - Reload the box even if the channel is the same
+ */
+function renderChannelVocabulary(force = false) {
+  const channel = state.currentVideo?.channelName || '';
+  if (!force && elements.channelVocabulary.dataset.channel === channel) return;
+  
+  elements.channelVocabulary.dataset.channel = channel;
+  elements.channelVocabulary.value = state.settings.channelVocabulary?.[channel] || '';
+  elements.channelVocabularyLabel.textContent = `Vocabulary for ${channel}`;
+  elements.channelVocabularyGroup.classList.toggle('hidden', !channel);
+}
+
+/**
+ * Every channel's vocabulary, with the one in the settings box applied
+ * @returns {Object}
+ */
+function getEditedChannelVocabulary() {
+  const channelVocabulary = { ...state.settings.channelVocabulary };
+  const channel = elements.channelVocabulary.dataset.channel;
+  const text = elements.channelVocabulary.value.trim();
+  
+  if (channel && text) {
+    channelVocabulary[channel] = text;
+  } else if (channel) {
+    delete channelVocabulary[channel];
+  }
+  return channelVocabulary;
+}
+
+/**
+ * Terms to send with a transcription: the general vocabulary plus the channel's
+ * @param {string} [channel]
+ * @returns {string[]}
+ */
+function getVocabulary(channel) {
+  return [...new Set([
+    ...parseVocabulary(state.settings.vocabulary),
+    ...parseVocabulary(channel && state.settings.channelVocabulary?.[channel])
+  ])];
+}
+
+// =============================================================================
+// TIME RANGE
+// =============================================================================
+
+/**
+ * Ask the content script where the player is
+ * @returns {Promise<{currentTime: number, duration: number|null}|null>}
+ */
+async function getPlayerTime() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const response = tab?.id && await chrome.tabs.sendMessage(tab.id, { type: 'GET_PLAYER_TIME' });
+    if (response?.success) return response.data;
+  } catch (e) {
+    // Content script might not be loaded
+    debugLog('Could not get the player time from content script');
+  }
+  return null;
+}
+
+/**
+ * Fill one end of the range with the player's current position
+ * @param {HTMLInputElement} input
+ */
+async function setRangeFromPlayer(input) {
+  const player = await getPlayerTime();
+  if (!player) {
+    showToast('Could not read the player position', 'error');
+    return;
+  }
+  input.value = formatTimestampForDisplay(player.currentTime);
+}
+
+/**
+ * Show or hide the range fields. Turning them on starts the range where the player is.
+ */
+async function toggleTimeRange() {
+  const enabled = elements.rangeEnabled.checked;
+  elements.rangeFields.classList.toggle('hidden', !enabled);
+  
+  if (enabled && !elements.rangeStart.value) {
+    await setRangeFromPlayer(elements.rangeStart);
+  }
+}
+
+/**
+ * Go back to transcribing the whole video, for a newly opened one
+ */
+function resetTimeRange() {
+  elements.rangeEnabled.checked = false;
+  elements.rangeStart.value = '';
+  elements.rangeEnd.value = '';
+  elements.rangeFields.classList.add('hidden');
+}
+
+/**
+ * The part of the video to transcribe
+ * @returns {{start: number, end: number|null}|null} - Seconds (end null for the end of the video), or null for the whole video
+ * @throws {Error} If a field isn't a time or the range is empty
+ */
+function getTimeRange() {
+  if (!elements.rangeEnabled.checked) return null;
+  
+  const startText = elements.rangeStart.value.trim();
+  const endText = elements.rangeEnd.value.trim();
+  const start = startText ? parseEditTime(startText) : 0;
+  const end = endText ? parseEditTime(endText) : null;
+  
+  if (start === null || (endText && end === null)) {
+    throw new Error('Enter the time range like 1:23 or 1:02:03');
+  }
+  if (end !== null && end <= start) {
+    throw new Error('The end of the time range must be after its start');
+  }
+  
+  return start || end !== null ? { start, end } : null;
+}
+
+/**
+ * "10:00–30:00" for the range in a variant's options ("600-1800", or "600-inf" to the end)
+ * @param {string} range
+ * @returns {string}
+ */
+function describeTimeRange(range) {
+  const [start, end] = range.split('-');
+  const from = formatTimestampForDisplay(Number(start));
+  return end === 'inf' ? `from ${from}` : `${from}–${formatTimestampForDisplay(Number(end))}`;
+}
+
 // =============================================================================
 // VIDEO DETECTION
 // =============================================================================
@@ -399,15 +857,18 @@ function updateVideoInfo(videoData) {
   if (!videoData) {
     elements.noVideoMessage.classList.remove('hidden');
     elements.videoInfo.classList.add('hidden');
+    elements.rangeSection.classList.add('hidden');
     elements.transcribeBtn.disabled = true;
     state.currentVideo = null;
     return;
   }
   
+  if (videoData.videoId !== state.currentVideo?.videoId) resetTimeRange();
   state.currentVideo = videoData;
   
   elements.noVideoMessage.classList.add('hidden');
   elements.videoInfo.classList.remove('hidden');
+  elements.rangeSection.classList.remove('hidden');
   
   // Update thumbnail
   elements.videoThumbnail.src = window.Utils.getThumbnailUrl(videoData.videoId, 'hqdefault');
@@ -418,6 +879,7 @@ function updateVideoInfo(videoData) {
   // Update video details
   elements.videoTitle.textContent = videoData.title || 'Loading...';
   elements.videoChannel.textContent = videoData.channelName || '';
+  renderChannelVocabulary();
   elements.videoUrl.textContent = window.Utils.truncateText(videoData.url, 50);
   elements.videoUrl.title = videoData.url;
   
@@ -447,20 +909,29 @@ function updateVideoInfo(videoData) {
 }
 
 /**
- * Check if we have a cached transcription for this video
+ * Check if we have a cached transcription for this video.
+ * With several variants, the one closest to the current settings is shown.
+ * @param {string} videoId
+ * @param {string} [key] - Show this variant instead
  */
-async function checkCachedTranscription(videoId) {
+async function checkCachedTranscription(videoId, key = null) {
+  if (!key && state.pendingVariant?.videoId === videoId) {
+    key = state.pendingVariant.key;
+  }
+  state.pendingVariant = null;
+  closeCompare();
+  
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'GET_CACHED_TRANSCRIPTION',
-      data: videoId
-    });
+    const variants = await loadVariants(videoId);
+    const variant = variants.find(v => v.key === key) || pickVariant(variants);
     
-    if (response.success && response.data) {
-      debugLog('Found cached transcription for:', videoId);
-      state.transcription = response.data;
-      displayTranscription(response.data);
+    if (variant) {
+      debugLog('Found cached transcription for:', videoId, variant.key);
+      await showVariant(videoId, variant.key);
       showStatus('Cached transcription loaded', 'success');
+    } else {
+      renderVariantSwitcher();
+      await resumeActiveJob(videoId);
     }
   } catch (error) {
     debugLog('Error checking cache:', error);
@@ -555,6 +1026,10 @@ function showStatus(message, type = 'loading') {
   elements.statusIndicator.classList.remove('hidden');
   elements.statusText.textContent = message;
   
+  // Progress bar is only shown by showProgress
+  elements.statusProgress.classList.add('hidden');
+  elements.statusProgressDetail.classList.add('hidden');
+  
   // Reset icons
   elements.statusSpinner.classList.add('hidden');
   elements.statusIconSuccess.classList.add('hidden');
@@ -576,6 +1051,45 @@ function showStatus(message, type = 'loading') {
   }
 }
 
+// Status text for each progress phase
+const PROGRESS_PHASE_LABELS = {
+  download: 'Downloading audio',
+  convert: 'Converting audio',
+  transcribe: 'Transcribing',
+  translate: 'Translating',
+  diarize: 'Identifying speakers'
+};
+
+/**
+ * Show a progress event from the backend as a progress bar
+ * @param {Object} progress - { phase, percent, eta, downloadedBytes, totalBytes, message }
+ */
+function showProgress(progress) {
+  const { phase, percent, eta, downloadedBytes, totalBytes } = progress;
+  const hasPercent = typeof percent === 'number';
+  
+  showStatus(progress.message || `${PROGRESS_PHASE_LABELS[phase] || 'Working'}...`, 'loading');
+  
+  elements.statusProgress.classList.remove('hidden');
+  elements.statusProgress.classList.toggle('indeterminate', !hasPercent);
+  elements.statusProgressBar.style.width = hasPercent ? `${percent}%` : '';
+  if (hasPercent) {
+    elements.statusProgress.setAttribute('aria-valuenow', Math.round(percent));
+  } else {
+    elements.statusProgress.removeAttribute('aria-valuenow');
+  }
+  
+  const details = [];
+  if (hasPercent) details.push(`${Math.round(percent)}%`);
+  if (downloadedBytes && totalBytes) {
+    details.push(`${window.Utils.formatFileSize(downloadedBytes)} / ${window.Utils.formatFileSize(totalBytes)}`);
+  }
+  if (eta > 0) details.push(`~${formatDuration(eta)} left`);
+  
+  elements.statusProgressDetail.textContent = details.join(' · ');
+  elements.statusProgressDetail.classList.toggle('hidden', details.length === 0);
+}
+
 /**
  * Hide status indicator
  */
@@ -607,77 +1121,152 @@ async function checkServerAvailable() {
   }
 }
 
+/**
+ * Read an SSE response body and hand each parsed event to a callback
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {Function} onEvent - Called with (data, id) for every event
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop(); // Keep incomplete chunk
+    
+    for (const block of blocks) {
+      let id = null;
+      let payload = '';
+      
+      block.split('\n').forEach(line => {
+        if (line.startsWith('id: ')) id = parseInt(line.slice(4), 10);
+        if (line.startsWith('data: ')) payload += line.slice(6);
+      });
+      
+      if (!payload) continue;
+      
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch (e) {
+        // Buffer issue or invalid JSON
+        debugLog('SSE Parse Error:', e);
+        continue;
+      }
+      
+      // Business logic errors thrown here propagate to the caller
+      onEvent(data, id);
+    }
+  }
+}
+
+/**
+ * Get the backend job still running for a video, if any
+ * @param {string} videoId - Video ID
+ * @returns {Promise<Object|null>} - Job status from the server
+ */
+async function getActiveJob(videoId) {
+  if (!videoId) return null;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ACTIVE_JOB', data: videoId });
+    const jobId = response.success ? response.data?.jobId : null;
+    if (!jobId) return null;
+    
+    const jobResponse = await fetch(`${BACKEND_URL}/jobs/${jobId}`, {
+      signal: AbortSignal.timeout(3000)
+    });
+    
+    if (!jobResponse.ok) {
+      // Server restarted or the job expired
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ACTIVE_JOB', data: videoId });
+      return null;
+    }
+    
+    const { data } = await jobResponse.json();
+    return data;
+  } catch (error) {
+    debugLog('Error checking active job:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Start a backend transcription job for a video with the current settings
+ * @param {string} url - YouTube video URL
+ * @param {Object} [options]
+ * @param {Object|null} [options.range] - Only transcribe this part, { start, end } in seconds
+ * @param {string|null} [options.channel] - Channel name, for its vocabulary
+ * @returns {Promise<Object>} - The new job
+ */
+async function createBackendJob(url, { range = null, channel = null } = {}) {
+  const response = await fetch(`${BACKEND_URL}/jobs`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': state.settings.apiKeys ? (state.settings.apiKeys[state.settings.provider || 'openai'] || '') : (state.settings.apiKey || ''),
+      'X-Provider': getRequestProvider(),
+      'X-Mode': state.settings.transcriptionMode || 'local'
+    },
+    body: JSON.stringify({
+      url,
+      language: state.settings.language === 'auto' ? null : state.settings.language,
+      diarize: !!state.settings.diarize,
+      translate: state.settings.translateTo || null,
+      captions: state.settings.useCaptions || 'off',
+      range,
+      vocabulary: getVocabulary(channel),
+      videoContext: !!state.settings.vocabularyContext
+    })
+  });
+  
+  if (!response.ok) {
+    // Handle non-200 responses
+    const error = await response.json().catch(() => ({ error: `Server HTTP error: ${response.status}` }));
+    throw new Error(error.error || `Server error: ${response.status}`);
+  }
+  
+  return (await response.json()).data;
+}
+
 /**
  * Transcribe YouTube video using backend server
+ * Reattaches to a job that is still running for this video instead of starting a new one.
  * @param {string} url - YouTube video URL
+ * @param {Object|null} [range] - Only transcribe this part, { start, end } in seconds
  * @returns {Promise<Object>} - Transcription result
  */
-async function transcribeViaBackend(url) {
+async function transcribeViaBackend(url, range = null) {
+  const videoId = window.Utils.extractVideoIdFromUrl(url);
   showStatus('Connecting to transcription server...', 'loading');
   
   try {
-    const response = await fetch(`${BACKEND_URL}/transcribe`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': state.settings.apiKeys ? (state.settings.apiKeys[state.settings.provider || 'openai'] || '') : (state.settings.apiKey || ''),
-        'X-Provider': state.settings.provider || 'openai',
-        'X-Mode': state.settings.transcriptionMode || 'local'
-      },
-      body: JSON.stringify({
-        url,
-        language: state.settings.language === 'auto' ? null : state.settings.language
-      })
-    });
+    let job = await getActiveJob(videoId);
     
-    if (!response.ok) {
-      // Handle non-200 responses
-      const error = await response.json().catch(() => ({ error: `Server HTTP error: ${response.status}` }));
-      throw new Error(error.error || `Server error: ${response.status}`);
+    if (job && ['cancelled', 'error'].includes(job.status)) {
+      job = null;
     }
     
-    // Process SSE Stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    let finalResult = null;
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n\n');
-      buffer = lines.pop(); // Keep incomplete chunk
-      
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          try {
-            const data = JSON.parse(line.slice(6));
-            
-            if (data.status === 'info') {
-              showStatus(data.message, 'loading');
-            } else if (data.status === 'complete') {
-              finalResult = data.data;
-            } else if (data.status === 'error') {
-              throw new Error(data.error);
-            }
-          } catch (e) {
-            if (e instanceof SyntaxError) {
-               // Buffer issue or invalid JSON
-               debugLog('SSE Parse Error:', e);
-            } else {
-               // Business logic error (e.g. status=error)
-               throw e;
-            }
-          }
-        }
-      }
+    if (job) {
+      debugLog('Reattaching to job:', job.id);
+    } else {
+      job = await createBackendJob(url, { range, channel: state.currentVideo?.channelName });
+      await chrome.runtime.sendMessage({
+        type: 'SET_ACTIVE_JOB',
+        data: { videoId, jobId: job.id }
+      });
     }
     
-    if (!finalResult) {
-       throw new Error('Stream ended without completion data');
-    }
+    state.activeJobId = job.id;
+    elements.cancelBtn.classList.remove('hidden');
+    
+    const finalResult = await followJob(job.id);
+    await chrome.runtime.sendMessage({ type: 'CLEAR_ACTIVE_JOB', data: videoId });
     
     return {
       success: true,
@@ -686,7 +1275,103 @@ async function transcribeViaBackend(url) {
 
   } catch (error) {
     debugLog('Transcription error:', error);
+    if (error.jobFinished) {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ACTIVE_JOB', data: videoId });
+    }
     throw error;
+  } finally {
+    state.activeJobId = null;
+    elements.cancelBtn.classList.add('hidden');
+  }
+}
+
+/**
+ * Start a transcription requested by the watch page's Transcribe button, if any
+ */
+async function startPendingTranscription() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'TAKE_PENDING_TRANSCRIPTION' });
+    const pending = response.success ? response.data : null;
+    if (!pending) return;
+    
+    // The click can arrive before the panel has caught up with the tab
+    if (state.currentVideo?.videoId !== pending.videoId) {
+      await requestCurrentVideo();
+    }
+    
+    if (state.currentVideo?.videoId !== pending.videoId) {
+      debugLog('Pending transcription is for another video:', pending.videoId);
+      return;
+    }
+    
+    startTranscription();
+  } catch (error) {
+    debugLog('Error starting pending transcription:', error);
+  }
+}
+
+/**
+ * Follow a backend job's event stream until it finishes
+ * @param {string} jobId - Job ID
+ * @param {Object} [report] - Where info messages and progress go; the status indicator by default
+ * @returns {Promise<Object>} - The job's result data
+ */
+async function followJob(jobId, report = { info: (message) => showStatus(message, 'loading'), progress: showProgress }) {
+  const response = await fetch(`${BACKEND_URL}/jobs/${jobId}/events`);
+  
+  if (!response.ok) {
+    throw new Error(`Server error: ${response.status}`);
+  }
+  
+  let finalResult = null;
+  
+  await readEventStream(response, (data) => {
+    if (data.status === 'info') {
+      report.info(data.message);
+    } else if (data.status === 'progress') {
+      report.progress(data);
+    } else if (data.status === 'complete') {
+      finalResult = data.data;
+    } else if (data.status === 'error' || data.status === 'cancelled') {
+      const error = new Error(data.error || data.message);
+      error.jobFinished = true;
+      error.cancelled = data.status === 'cancelled';
+      throw error;
+    }
+  });
+  
+  if (!finalResult) {
+    throw new Error('Stream ended without completion data');
+  }
+  
+  return finalResult;
+}
+
+/**
+ * Cancel the backend job currently being followed
+ */
+async function cancelTranscription() {
+  if (!state.activeJobId) return;
+  
+  try {
+    showStatus('Cancelling...', 'loading');
+    await fetch(`${BACKEND_URL}/jobs/${state.activeJobId}`, { method: 'DELETE' });
+  } catch (error) {
+    debugLog('Error cancelling job:', error);
+    showToast('Failed to cancel transcription', 'error');
+  }
+}
+
+/**
+ * Reattach to a transcription that was still running when the panel was closed
+ */
+async function resumeActiveJob(videoId) {
+  if (state.isTranscribing || state.uploadedFile) return;
+  
+  const job = await getActiveJob(videoId);
+  if (job && (job.status === 'queued' || job.status === 'running' || job.status === 'complete')) {
+    debugLog('Resuming transcription job for:', videoId);
+    startTranscription();
   }
 }
 
@@ -725,6 +1410,7 @@ async function startTranscription() {
         audioFile: state.uploadedFile,
         apiKey: apiKey,
         language: state.settings.language,
+        prompt: getVocabulary().join(', '),
         responseFormat: 'verbose_json',
         onProgress: (progress) => {
           showStatus(progress.message, 'loading');
@@ -732,6 +1418,7 @@ async function startTranscription() {
       });
     } else if (state.currentVideo) {
       // Use backend server for YouTube video transcription
+      const range = getTimeRange();
       showStatus('Checking transcription server...', 'loading');
       
       const serverAvailable = await checkServerAvailable();
@@ -749,10 +1436,11 @@ async function startTranscription() {
       }
       
       showStatus('Downloading audio from YouTube...', 'loading');
-      result = await transcribeViaBackend(state.currentVideo.url);
+      result = await transcribeViaBackend(state.currentVideo.url, range);
     }
     
     if (result && result.success) {
+      result = applyGlossaryToNew(result);
       state.transcription = result;
       
       // Update video info from backend response (fixes "Loading..." title issue)
@@ -769,21 +1457,36 @@ async function startTranscription() {
       showStatus('Transcription complete!', 'success');
       showToast('Transcription completed successfully', 'success');
       
-      // Cache the transcription if it's for a video
+      // Cache the transcription if it's for a video, alongside its other variants
       if (state.currentVideo) {
-        await chrome.runtime.sendMessage({
+        const response = await chrome.runtime.sendMessage({
           type: 'SET_CACHED_TRANSCRIPTION',
           data: {
             videoId: state.currentVideo.videoId,
             transcription: result
           }
         });
+        
+        if (response?.success && response.data.keptEdits) {
+          // The server sent back its stored copy of a transcript edited here
+          await loadVariants(state.currentVideo.videoId);
+          await showVariant(state.currentVideo.videoId, response.data.key);
+        } else if (response?.success) {
+          result.key = response.data.key;
+          await loadVariants(state.currentVideo.videoId);
+          renderVariantSwitcher();
+        }
       }
     }
   } catch (error) {
     debugLog('Transcription error:', error);
-    showStatus(error.message, 'error');
-    showToast(error.message, 'error', 5000);
+    if (error.cancelled) {
+      showStatus('Transcription cancelled', 'error');
+      showToast('Transcription cancelled', 'info');
+    } else {
+      showStatus(error.message, 'error');
+      showToast(error.message, 'error', 5000);
+    }
   } finally {
     state.isTranscribing = false;
     updateTranscribeButton();
@@ -791,10 +1494,139 @@ async function startTranscription() {
 }
 
 /**
- * Display transcription results with enhanced formatting
+ * Segment text as HTML, with each word in a span carrying its timing when the segment has words
+ * Timings are matched to the segment text's own words, since some providers
+ * (OpenAI) report words without punctuation. Search matches are marked inside
+ * the word spans, so words stay clickable while searching.
+ * @param {Object} segment - Transcript segment with optional words
+ * @param {string} [searchTerm] - Term to highlight
+ * @returns {string} - HTML
  */
-function displayTranscription(transcription) {
-  elements.transcriptionSection.classList.remove('hidden');
+function renderSegmentWords(segment, searchTerm = '') {
+  const text = segment.text.trim();
+  if (!segment.words?.length) return window.Utils.highlightSearchTerm(text, searchTerm);
+  
+  const matches = findSearchMatches(text, searchTerm);
+  let next = 0;
+  
+  return [...text.matchAll(/\S+/g)].map(({ 0: token, index }) => {
+    const html = markSearchMatches(token, index, matches);
+    // Stand-alone punctuation ("—") has no word of its own
+    if (!/[\p{L}\p{N}]/u.test(token) || next >= segment.words.length) return html;
+    
+    const word = segment.words[next++];
+    return `<span class="transcript-word" data-start="${word.start}" data-end="${word.end}">${html}</span>`;
+  }).join(' ');
+}
+
+/**
+ * Where a search term appears in text, ignoring case
+ * @param {string} text
+ * @param {string} searchTerm
+ * @returns {Array<[number, number]>} - Start and end offsets of each match
+ */
+function findSearchMatches(text, searchTerm) {
+  if (!searchTerm) return [];
+  
+  const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return [...text.matchAll(new RegExp(escapedTerm, 'gi'))]
+    .map(match => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * One word of a text as HTML, with the parts inside search matches marked
+ * A match across several words is marked in each of them.
+ * @param {string} token - The word
+ * @param {number} offset - Where the word starts in the text
+ * @param {Array<[number, number]>} matches - From findSearchMatches
+ * @returns {string} - HTML
+ */
+function markSearchMatches(token, offset, matches) {
+  const escape = window.Utils.escapeHtml;
+  const end = offset + token.length;
+  let html = '';
+  let position = offset;
+  
+  matches.forEach(([matchStart, matchEnd]) => {
+    const from = Math.max(matchStart, position);
+    const to = Math.min(matchEnd, end);
+    if (from >= to) return;
+    
+    html += escape(token.slice(position - offset, from - offset));
+    html += `<mark class="highlight">${escape(token.slice(from - offset, to - offset))}</mark>`;
+    position = to;
+  });
+  
+  return html + escape(token.slice(position - offset));
+}
+
+/**
+ * Seek the video's player, trying the video's own tab and then the active tab
+ * @param {number} seconds
+ * @returns {Promise<boolean>} - false if no tab could seek
+ */
+async function seekVideo(seconds) {
+  const performSeek = (tid) => {
+    return new Promise((resolve, reject) => {
+      if (!tid) return reject(new Error('No tab ID'));
+      chrome.tabs.sendMessage(tid, { type: 'SEEK_TO_TIMESTAMP', data: seconds }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  };
+  
+  const storedTabId = state.currentVideo?.tabId;
+  
+  // Attempt 1: Try stored tab ID
+  if (storedTabId) {
+    try {
+      await performSeek(storedTabId);
+      debugLog('Seek successful on stored tab:', storedTabId);
+      return true;
+    } catch (e) {
+      debugLog('Stored tab seek failed:', e.message);
+    }
+  }
+  
+  // Attempt 2: Try active tab if attempt 1 failed
+  const activeTabId = await getActiveTabId();
+  if (activeTabId && activeTabId !== storedTabId) {
+    try {
+      await performSeek(activeTabId);
+      debugLog('Seek successful on active tab:', activeTabId);
+      
+      // Update state to use this working tab
+      if (state.currentVideo) state.currentVideo.tabId = activeTabId;
+      return true;
+    } catch (e) {
+      debugLog('Active tab seek failed:', e.message);
+    }
+  }
+  
+  return false;
+}
+
+// Badge for transcripts that came from YouTube's captions, by result.source
+const CAPTION_SOURCE_LABELS = {
+  'manual-captions': 'YouTube captions',
+  'automatic-captions': 'Auto captions'
+};
+
+/**
+ * Display transcription results with enhanced formatting
+ */
+function displayTranscription(transcription) {
+  elements.transcriptionSection.classList.remove('hidden');
+  
+  // Another transcript: save the last one's edits and leave edit mode
+  if (transcription !== state.editHistory.transcription) {
+    saveEdits();
+    state.editing = false;
+  }
   
   // Update header info
   const videoTitle = state.currentVideo?.title || transcription.title || 'Audio Transcription';
@@ -809,6 +1641,11 @@ function displayTranscription(transcription) {
     elements.transcriptionLanguage.style.display = 'none';
   }
   
+  // Transcripts taken from YouTube's captions say so
+  const captionSource = CAPTION_SOURCE_LABELS[transcription.source];
+  elements.transcriptionSource.textContent = captionSource || '';
+  elements.transcriptionSource.style.display = captionSource ? 'inline-block' : 'none';
+  
   // Show duration
   if (transcription.duration) {
     elements.transcriptionDuration.textContent = formatDuration(transcription.duration);
@@ -818,326 +1655,2045 @@ function displayTranscription(transcription) {
     elements.transcriptionDuration.parentElement.style.display = 'none';
   }
   
+  elements.translationRow.classList.toggle('hidden', !window.WhisperAPI.hasTranslation(transcription));
+  elements.translationView.value = state.translationView;
+  
+  renderTranscriptBody(transcription);
+  refreshReplacePreview();
+  
+  // Remove Date display as requested
+  if (elements.transcriptionTime) {
+    elements.transcriptionTime.parentElement.style.display = 'none';
+  }
+  
+  // Scroll to transcription
+  elements.transcriptionSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render the transcript text (segments, speaker turns or paragraphs) and its stats.
+ * Also used to re-render after searching and editing, without moving the panel.
+ * @param {Object} transcription
+ */
+function renderTranscriptBody(transcription) {
+  const searchTerm = state.editing ? '' : elements.searchInput.value.trim();
+  const highlight = (text) => window.Utils.highlightSearchTerm(text, searchTerm);
+  const view = window.WhisperAPI.hasTranslation(transcription) ? state.translationView : 'original';
+  const shown = view === 'translation' ? window.WhisperAPI.getTranslationView(transcription, view) : transcription;
   let displayHtml;
   
-  if (state.settings.showTimestamps && transcription.segments?.length) {
-    // Render segments with styled timestamps
+  if (state.editing && transcription.segments?.length) {
+    displayHtml = renderEditableSegments(transcription.segments);
+  } else if ((state.settings.showTimestamps || view === 'both') && transcription.segments?.length) {
+    // Render segments with styled timestamps (original and translation side by side need them too)
     displayHtml = '<div class="transcription-segments">';
     
     transcription.segments.forEach((segment, index) => {
       const startTime = formatTimestampForDisplay(segment.start);
-      const text = window.Utils.escapeHtml(segment.text.trim());
+      const speaker = renderSpeakerLabel(segment, transcription.segments[index - 1]);
+      const original = `${speaker}${renderSegmentWords(segment, searchTerm)}`;
+      const translation = highlight((segment.translation || '').trim());
+      const edited = segment.edited ? ' edited' : '';
+      
+      let text = original;
+      if (view === 'both') {
+        text = `<span class="transcript-original">${original}</span><span class="transcript-translation">${translation}</span>`;
+      } else if (view === 'translation') {
+        text = `${speaker}${translation}`;
+      }
       
       displayHtml += `
-        <div class="transcript-segment" data-index="${index}" data-start="${segment.start}">
+        <div class="transcript-segment${edited}${view === 'both' ? ' bilingual' : ''}" data-index="${index}" data-start="${segment.start}">
           <span class="transcript-timestamp">${startTime}</span>
           <span class="transcript-text">${text}</span>
         </div>
       `;
     });
     
+    displayHtml += '</div>';
+  } else if (window.WhisperAPI.hasSpeakers(transcription)) {
+    // One paragraph per speaker turn
+    displayHtml = '<div class="transcription-plain">';
+    getSpeakerTurns(shown.segments).forEach(turn => {
+      displayHtml += `<p>${renderSpeakerLabel(turn)}${highlight(turn.text)}</p>`;
+    });
     displayHtml += '</div>';
   } else {
     // Render as paragraphs for better readability
-    const text = transcription.text;
+    const text = shown.text;
     const paragraphs = splitIntoParagraphs(text);
     
     displayHtml = '<div class="transcription-plain">';
     paragraphs.forEach(p => {
-      displayHtml += `<p>${window.Utils.escapeHtml(p)}</p>`;
+      displayHtml += `<p>${highlight(p)}</p>`;
     });
     displayHtml += '</div>';
   }
   
   elements.transcriptionText.innerHTML = displayHtml;
+  refreshSpeakerNames();
+  refreshPlaybackHighlight();
   
   // Add click handlers for entire segments
   elements.transcriptionText.querySelectorAll('.transcript-segment').forEach(el => {
     // Add hover title to the segment itself
     el.title = "Click to jump to this timestamp";
-    
-    el.addEventListener('click', async () => {
-      // Get timestamp in seconds from data attribute
-      const startSeconds = parseFloat(el.dataset.start);
-      
-      if (isNaN(startSeconds)) return;
-      
-      debugLog('Clicked segment at:', startSeconds);
-      
-      const performSeek = (tid) => {
-        return new Promise((resolve, reject) => {
-          if (!tid) return reject(new Error('No tab ID'));
-          chrome.tabs.sendMessage(tid, { type: 'SEEK_TO_TIMESTAMP', data: startSeconds }, (response) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(response);
-            }
-          });
-        });
-      };
-      
-      const doFallback = () => {
-        const timestampText = el.querySelector('.transcript-timestamp')?.textContent || 'timestamp';
-        window.Utils.copyToClipboard(timestampText);
-        showToast(`Couldn't seek. Copied: ${timestampText}`, 'warning');
-      };
-      
-      try {
-        let success = false;
-        const storedTabId = state.currentVideo?.tabId;
-        
-        // Attempt 1: Try stored tab ID
-        if (storedTabId) {
-          try {
-            await performSeek(storedTabId);
-            success = true;
-            debugLog('Seek successful on stored tab:', storedTabId);
-          } catch (e) {
-            debugLog('Stored tab seek failed:', e.message);
-          }
-        }
-        
-        // Attempt 2: Try active tab if attempt 1 failed
-        if (!success) {
-          const activeTabId = await getActiveTabId();
-          if (activeTabId && activeTabId !== storedTabId) {
-            try {
-              await performSeek(activeTabId);
-              success = true;
-              debugLog('Seek successful on active tab:', activeTabId);
-              
-              // Update state to use this working tab
-              if (state.currentVideo) state.currentVideo.tabId = activeTabId;
-            } catch (e) {
-              debugLog('Active tab seek failed:', e.message);
-            }
-          }
-        }
-        
-        if (!success) {
-          throw new Error('All seek attempts failed');
-        }
-        
-      } catch (error) {
-        debugLog('Seek error:', error);
-        doFallback();
-      }
-    });
+    el.addEventListener('click', handleSegmentClick);
   });
   
-  // Update stats
+  updateTranscriptStats(transcription);
+  updateEditControls();
+}
+
+/**
+ * Seek to a clicked segment (or the clicked word, if it has a time)
+ */
+async function handleSegmentClick(event) {
+  const el = event.currentTarget;
+  
+  // Editing text or times shouldn't seek
+  if (event.target.closest('[contenteditable], input')) return;
+  
+  // Get timestamp in seconds from data attribute (the clicked word's, if it has one)
+  const word = event.target.closest('.transcript-word[data-start]');
+  const startSeconds = parseFloat((word || el).dataset.start);
+  
+  if (isNaN(startSeconds)) return;
+  
+  debugLog('Clicked segment at:', startSeconds);
+  
+  if (!await seekVideo(startSeconds)) {
+    const timestampText = el.querySelector('.transcript-timestamp')?.textContent || formatTimestampForDisplay(startSeconds);
+    window.Utils.copyToClipboard(timestampText);
+    showToast(`Couldn't seek. Copied: ${timestampText}`, 'warning');
+  }
+}
+
+/**
+ * @param {Object} transcription
+ */
+function updateTranscriptStats(transcription) {
   const words = window.Utils.countWords(transcription.text);
   const chars = window.Utils.countCharacters(transcription.text);
   
   elements.wordCount.textContent = `${words.toLocaleString()} words`;
   elements.charCount.textContent = `${chars.toLocaleString()} chars`;
+}
+
+/**
+ * Get readable language name from code
+ */
+function getLanguageName(code) {
+  const languages = {
+    'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
+    'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'zh': 'Chinese',
+    'ja': 'Japanese', 'ko': 'Korean', 'ar': 'Arabic', 'hi': 'Hindi',
+    'nl': 'Dutch', 'pl': 'Polish', 'tr': 'Turkish', 'vi': 'Vietnamese',
+    'th': 'Thai', 'id': 'Indonesian', 'sv': 'Swedish', 'da': 'Danish'
+  };
+  return languages[code] || code.toUpperCase();
+}
+
+/**
+ * Format duration in seconds to readable string
+ */
+function formatDuration(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
   
-  // Remove Date display as requested
-  if (elements.transcriptionTime) {
-    elements.transcriptionTime.parentElement.style.display = 'none';
+  if (hrs > 0) {
+    return `${hrs}h ${mins}m`;
+  } else if (mins > 0) {
+    return `${mins}m ${secs}s`;
   }
+  return `${secs}s`;
+}
+
+/**
+ * Format date for transcription display
+ */
+function formatTranscriptionDate(timestamp) {
+  const date = new Date(timestamp);
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+/**
+ * Format seconds to MM:SS or HH:MM:SS timestamp
+ */
+function formatTimestampForDisplay(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
   
-  // Scroll to transcription
-  elements.transcriptionSection.scrollIntoView({ behavior: 'smooth' });
+  if (hrs > 0) {
+    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Split text into readable paragraphs
+ */
+function splitIntoParagraphs(text) {
+  // Split at sentence boundaries where we have 2+ sentences
+  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+  const paragraphs = [];
+  let currentParagraph = '';
+  
+  sentences.forEach((sentence, i) => {
+    currentParagraph += sentence.trim() + ' ';
+    
+    // Create paragraph every 3-5 sentences or at natural breaks
+    if ((i + 1) % 4 === 0 || i === sentences.length - 1) {
+      if (currentParagraph.trim()) {
+        paragraphs.push(currentParagraph.trim());
+      }
+      currentParagraph = '';
+    }
+  });
+  
+  if (currentParagraph.trim()) {
+    paragraphs.push(currentParagraph.trim());
+  }
+  
+  return paragraphs.length > 0 ? paragraphs : [text];
+}
+
+/**
+ * Handle search within transcription
+ */
+function handleSearch() {
+  const searchTerm = elements.searchInput.value.trim();
+  
+  // Toggle clear button visibility
+  if (elements.clearSearch) {
+    elements.clearSearch.classList.toggle('hidden', !searchTerm);
+  }
+  
+  if (!state.transcription) {
+    elements.searchResults.textContent = '';
+    return;
+  }
+  
+  if (searchTerm) {
+    // Count matches in the full text
+    const regex = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    const matches = state.transcription.text.match(regex);
+    const count = matches ? matches.length : 0;
+    
+    elements.searchResults.textContent = count > 0 ? `${count} match${count !== 1 ? 'es' : ''} found` : 'No matches';
+  } else {
+    elements.searchResults.textContent = '';
+  }
+  
+  // Re-render with (or without) search highlighting
+  renderTranscriptBody(state.transcription);
+}
+
+/**
+ * Plain-text transcription for copying and TXT export, matching what's on screen
+ * @returns {string}
+ */
+function getTranscriptionText() {
+  const names = state.speakerNames.names;
+  const transcription = getShownTranscription();
+  
+  if (state.settings.showTimestamps && transcription.segments?.length) {
+    return window.WhisperAPI.formatTranscriptionWithTimestamps(transcription, names);
+  }
+  if (window.WhisperAPI.hasSpeakers(transcription)) {
+    return window.WhisperAPI.formatTranscriptionWithSpeakers(transcription, names);
+  }
+  return transcription.text;
+}
+
+/**
+ * The transcription as copied and exported: translated ones in the chosen view
+ * @returns {Object}
+ */
+function getShownTranscription() {
+  return window.WhisperAPI.getTranslationView(state.transcription, state.translationView);
+}
+
+/**
+ * Copy transcription to clipboard
+ */
+async function copyTranscription() {
+  if (!state.transcription) return;
+  
+  const text = getTranscriptionText();
+  
+  const success = await window.Utils.copyToClipboard(text);
+  
+  if (success) {
+    showToast('Copied to clipboard', 'success');
+  } else {
+    showToast('Failed to copy', 'error');
+  }
+}
+
+/**
+ * Download transcription in specified format
+ */
+function downloadTranscription(format) {
+  if (!state.transcription) return;
+  
+  const title = state.currentVideo?.title || 'transcription';
+  
+  switch (format) {
+    case 'txt':
+      const txtContent = getTranscriptionText();
+      window.Utils.downloadAsTxt(txtContent, title);
+      break;
+      
+    case 'srt':
+      const srtContent = window.WhisperAPI.toSRT(getShownTranscription(), state.speakerNames.names);
+      if (srtContent) {
+        window.Utils.downloadAsSrt(srtContent, title);
+      } else {
+        showToast('No timestamp data available for SRT export', 'warning');
+      }
+      break;
+      
+    case 'vtt':
+      const vttContent = window.WhisperAPI.toVTT(getShownTranscription(), state.speakerNames.names);
+      window.Utils.downloadAsVtt(vttContent, title);
+      break;
+  }
+  
+  showToast(`Downloaded as ${format.toUpperCase()}`, 'success');
+  closeDropdown();
+}
+
+// =============================================================================
+// EDITING
+// =============================================================================
+
+// Edits are saved to the cache once typing has paused this long
+const EDIT_SAVE_DELAY_MS = 800;
+
+/**
+ * Undo history of the transcript on screen, started afresh when another transcript is shown
+ * @returns {{transcription: Object, undo: Array, redo: Array}}
+ */
+function getEditHistory() {
+  if (state.editHistory.transcription !== state.transcription) {
+    state.editHistory = { transcription: state.transcription, undo: [], redo: [] };
+  }
+  return state.editHistory;
+}
+
+/**
+ * Segment time as shown in the edit fields, to the hundredth of a second
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatEditTime(seconds) {
+  const centis = Math.round(seconds * 100);
+  return `${formatTimestampForDisplay(Math.floor(centis / 100))}.${String(centis % 100).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} value - "1:23.45", "1:02:03" or plain seconds
+ * @returns {number|null} - null if it isn't a time
+ */
+function parseEditTime(value) {
+  const text = value.trim();
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) return null;
+  
+  return text.includes(':') ? window.Utils.parseTime(text) : Number(text);
+}
+
+/**
+ * A segment with editable text and start/end fields
+ * @param {Object} segment
+ * @param {number} index
+ * @returns {string} - HTML
+ */
+function renderEditableSegment(segment, index) {
+  return `
+    <div class="transcript-segment editing${segment.edited ? ' edited' : ''}" data-index="${index}" data-start="${segment.start}">
+      <span class="segment-times">
+        <input class="segment-time" data-field="start" value="${formatEditTime(segment.start)}" title="Start" spellcheck="false" />
+        <input class="segment-time" data-field="end" value="${formatEditTime(segment.end)}" title="End" spellcheck="false" />
+      </span>
+      <span class="transcript-text" contenteditable="plaintext-only" spellcheck="true">${window.Utils.escapeHtml(segment.text.trim())}</span>
+    </div>
+  `;
+}
+
+/**
+ * @param {Array} segments
+ * @returns {string} - HTML
+ */
+function renderEditableSegments(segments) {
+  return `<div class="transcription-segments">${segments.map(renderEditableSegment).join('')}</div>`;
+}
+
+/**
+ * Re-render one edited segment in place, so focus elsewhere in the transcript isn't lost
+ * @param {number} index
+ */
+function refreshEditedSegment(index) {
+  const el = elements.transcriptionText.querySelector(`.transcript-segment[data-index="${index}"]`);
+  if (!el) return;
+  
+  const template = document.createElement('template');
+  template.innerHTML = renderEditableSegment(state.transcription.segments[index], index).trim();
+  
+  const segmentEl = template.content.firstElementChild;
+  segmentEl.title = el.title;
+  segmentEl.addEventListener('click', handleSegmentClick);
+  el.replaceWith(segmentEl);
+}
+
+/**
+ * Show the edit toggle only for transcripts with segments, and undo/redo while editing
+ */
+function updateEditControls() {
+  const history = getEditHistory();
+  const editable = !!state.transcription?.segments?.length;
+  
+  elements.editBtn.classList.toggle('hidden', !editable);
+  elements.editBtn.classList.toggle('active', state.editing);
+  elements.editBtn.querySelector('span').textContent = state.editing ? 'Done' : 'Edit';
+  elements.undoBtn.classList.toggle('hidden', !state.editing);
+  elements.redoBtn.classList.toggle('hidden', !state.editing);
+  elements.undoBtn.disabled = !history.undo.length;
+  elements.redoBtn.disabled = !history.redo.length;
+}
+
+/**
+ * Switch between reading and editing the transcript
+ */
+function toggleEditing() {
+  if (!state.transcription?.segments?.length) return;
+  
+  state.editing = !state.editing;
+  renderTranscriptBody(state.transcription);
+}
+
+/**
+ * Apply a change to one segment, recording it for undo
+ * @param {number} index
+ * @param {Object} changes - New text, start and/or end
+ */
+function editSegment(index, changes) {
+  const segments = state.transcription.segments;
+  const before = segments[index];
+  const after = { ...before, ...changes, edited: true };
+  
+  // Word timings no longer line up with changed text
+  if (changes.text !== undefined) {
+    delete after.words;
+  }
+  
+  recordEdit([{ index, before, after }]);
+}
+
+/**
+ * Apply changed segments as one undoable step
+ * @param {Array<{index: number, before: Object, after: Object}>} changes
+ */
+function recordEdit(changes) {
+  const history = getEditHistory();
+  history.undo.push(changes);
+  history.redo = [];
+  
+  changes.forEach(change => {
+    state.transcription.segments[change.index] = change.after;
+  });
+  afterEdit(changes.map(change => change.index));
+}
+
+function undoEdit() {
+  const history = getEditHistory();
+  const changes = history.undo.pop();
+  if (!changes) return;
+  
+  changes.forEach(change => {
+    state.transcription.segments[change.index] = change.before;
+  });
+  history.redo.push(changes);
+  afterEdit(changes.map(change => change.index));
+}
+
+function redoEdit() {
+  const history = getEditHistory();
+  const changes = history.redo.pop();
+  if (!changes) return;
+  
+  changes.forEach(change => {
+    state.transcription.segments[change.index] = change.after;
+  });
+  history.undo.push(changes);
+  afterEdit(changes.map(change => change.index));
+}
+
+/**
+ * Bring the full text and the view up to date with changed segments, then save
+ * @param {number[]} indexes
+ */
+function afterEdit(indexes) {
+  const transcription = state.transcription;
+  transcription.text = transcription.segments.map(segment => segment.text.trim()).join(' ');
+  transcription.edited = transcription.segments.some(segment => segment.edited);
+  
+  if (state.editing) {
+    indexes.forEach(refreshEditedSegment);
+    updateTranscriptStats(transcription);
+    updateEditControls();
+  } else {
+    renderTranscriptBody(transcription);
+  }
+  refreshPlaybackHighlight();
+  refreshReplacePreview();
+  saveEditsSoon();
+}
+
+let editSaveTimer = null;
+let unsavedTranscription = null;
+
+function saveEditsSoon() {
+  unsavedTranscription = state.transcription;
+  clearTimeout(editSaveTimer);
+  editSaveTimer = setTimeout(saveEdits, EDIT_SAVE_DELAY_MS);
+}
+
+/**
+ * Write edits not saved yet back to the transcript's cache entry
+ */
+async function saveEdits() {
+  clearTimeout(editSaveTimer);
+  
+  const pending = unsavedTranscription;
+  unsavedTranscription = null;
+  
+  // Only transcripts of videos are cached
+  const { key, pinned, timestamp, ...transcription } = pending || {};
+  if (!key) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SAVE_TRANSCRIPT_EDITS',
+      data: { key, transcription }
+    });
+    if (!response.success) throw new Error(response.error);
+  } catch (error) {
+    debugLog('Error saving edits:', error);
+    showToast('Failed to save your edits', 'error');
+  }
+}
+
+/**
+ * Keep a segment's edited text when it loses focus
+ * @param {HTMLElement} textEl - The segment's contenteditable text
+ */
+function commitSegmentText(textEl) {
+  const index = Number(textEl.closest('.transcript-segment').dataset.index);
+  const segment = state.transcription.segments[index];
+  const text = textEl.textContent.replace(/\s+/g, ' ').trim();
+  
+  if (!text) {
+    textEl.textContent = segment.text.trim();
+    showToast('A segment can\'t be empty', 'warning');
+    return;
+  }
+  
+  if (text !== segment.text.trim()) {
+    editSegment(index, { text: ` ${text}` });
+  }
+}
+
+/**
+ * Keep an edited start or end time if it's valid, keeping segments in order
+ * @param {HTMLInputElement} input
+ */
+function commitSegmentTime(input) {
+  const index = Number(input.closest('.transcript-segment').dataset.index);
+  const segments = state.transcription.segments;
+  const segment = segments[index];
+  const { field } = input.dataset;
+  const value = parseEditTime(input.value);
+  
+  const start = field === 'start' ? value : segment.start;
+  const end = field === 'end' ? value : segment.end;
+  let problem = null;
+  
+  if (value === null) {
+    problem = 'Enter a time like 1:23.45';
+  } else if (start >= end) {
+    problem = 'A segment has to start before it ends';
+  } else if (start < (segments[index - 1]?.start ?? 0) || start > (segments[index + 1]?.start ?? Infinity)) {
+    problem = 'A segment can\'t start before the one above it or after the one below';
+  }
+  
+  if (problem) {
+    input.value = formatEditTime(segment[field]);
+    showToast(problem, 'warning');
+    return;
+  }
+  
+  if (value !== segment[field]) {
+    editSegment(index, { [field]: value });
+  }
+}
+
+// =============================================================================
+// FIND AND REPLACE
+// =============================================================================
+
+// Longest list of changes shown before applying
+const REPLACE_PREVIEW_LIMIT = 50;
+
+/**
+ * The rule typed into the Find & replace panel
+ * @returns {Object}
+ */
+function getReplaceRule() {
+  return {
+    find: elements.replaceFind.value,
+    replace: elements.replaceWith.value,
+    regex: elements.replaceRegex.checked,
+    wholeWord: elements.replaceWholeWord.checked,
+    matchCase: elements.replaceMatchCase.checked,
+    enabled: true
+  };
+}
+
+function getEnabledGlossary() {
+  return state.glossary.filter(rule => rule.enabled !== false);
+}
+
+function toggleReplacePanel() {
+  const opening = elements.replacePanel.classList.contains('hidden');
+  
+  elements.replacePanel.classList.toggle('hidden', !opening);
+  elements.replaceToggle.classList.toggle('active', opening);
+  
+  if (opening) {
+    state.replaceSource = 'find';
+    elements.replaceFind.value = elements.replaceFind.value || elements.searchInput.value.trim();
+    elements.replaceFind.focus();
+    updateReplacePreview();
+  }
+}
+
+/**
+ * Update the preview if the panel is open (after the transcript changed)
+ */
+function refreshReplacePreview() {
+  if (!elements.replacePanel.classList.contains('hidden')) {
+    updateReplacePreview();
+  }
+}
+
+/**
+ * Work out what the typed rule, or the glossary, would change and show it
+ */
+function updateReplacePreview() {
+  const fromGlossary = state.replaceSource === 'glossary';
+  const rule = getReplaceRule();
+  const rules = fromGlossary ? getEnabledGlossary() : [rule];
+  const problem = fromGlossary || !rule.find ? null : window.TranscriptReplace.validateRule(rule);
+  
+  state.replacePreview = null;
+  elements.replaceApplyBtn.textContent = fromGlossary ? 'Apply glossary' : 'Replace all';
+  elements.replaceApplyBtn.disabled = true;
+  elements.saveGlossaryRuleBtn.disabled = fromGlossary || !rule.find || !!problem;
+  elements.previewGlossaryBtn.classList.toggle('active', fromGlossary);
+  elements.replaceSummary.classList.toggle('error', !!problem);
+  elements.replacePreview.innerHTML = '';
+  
+  if (problem) {
+    elements.replaceSummary.textContent = problem;
+    return;
+  }
+  if (!state.transcription || (fromGlossary ? !rules.length : !rule.find)) {
+    elements.replaceSummary.textContent = fromGlossary ? 'The glossary has no rules turned on' : '';
+    return;
+  }
+  
+  const preview = window.TranscriptReplace.previewRules(state.transcription, rules);
+  const { changes, count } = preview;
+  
+  elements.replaceSummary.textContent = count
+    ? `${count} match${count !== 1 ? 'es' : ''} in ${changes.length} segment${changes.length !== 1 ? 's' : ''}`
+    : 'No matches';
+  
+  elements.replacePreview.innerHTML = changes.slice(0, REPLACE_PREVIEW_LIMIT).map(change => `
+    <div class="replace-change" data-start="${change.start}" title="Click to jump to this timestamp">
+      <span class="transcript-timestamp">${formatTimestampForDisplay(change.start)}</span>
+      <span>${renderReplaceChange(change.before, change.after)}</span>
+    </div>
+  `).join('') + (changes.length > REPLACE_PREVIEW_LIMIT
+    ? `<p class="replace-more">and ${changes.length - REPLACE_PREVIEW_LIMIT} more segments</p>`
+    : '');
+  
+  state.replacePreview = preview;
+  elements.replaceApplyBtn.disabled = !changes.length;
+}
+
+/**
+ * A segment's text with removed words struck through and new words marked
+ * @param {string} before
+ * @param {string} after
+ * @returns {string} - HTML
+ */
+function renderReplaceChange(before, after) {
+  const escape = window.Utils.escapeHtml;
+  const toWords = (text) => text.trim().split(/\s+/).filter(Boolean).map(word => ({ text: word, key: word }));
+  const ops = window.TranscriptCompare.diffWords(toWords(before), toWords(after));
+  
+  if (!ops) {
+    return `<del class="diff-delete">${escape(before.trim())}</del> <ins class="diff-insert">${escape(after.trim())}</ins>`;
+  }
+  
+  return ops.map(op => {
+    if (op.type === 'equal') return escape(op.a);
+    if (op.type === 'delete') return `<del class="diff-delete">${escape(op.a)}</del>`;
+    if (op.type === 'insert') return `<ins class="diff-insert">${escape(op.b)}</ins>`;
+    return `<del class="diff-delete">${escape(op.a)}</del> <ins class="diff-insert">${escape(op.b)}</ins>`;
+  }).join(' ');
+}
+
+/**
+ * Make the previewed changes, as one step that Undo reverses
+ */
+function applyReplacePreview() {
+  const preview = state.replacePreview;
+  const transcription = state.transcription;
+  if (!preview?.changes.length || !transcription) return;
+  
+  if (transcription.segments?.length) {
+    recordEdit(preview.changes.map(change => {
+      const before = transcription.segments[change.index];
+      const after = { ...window.TranscriptReplace.replaceSegmentText(before, change.after), edited: true };
+      return { index: change.index, before, after };
+    }));
+  } else {
+    // No segments to undo by
+    transcription.text = preview.changes[0].after;
+    transcription.edited = true;
+    renderTranscriptBody(transcription);
+    refreshReplacePreview();
+    saveEditsSoon();
+  }
+  
+  showToast(`Replaced ${preview.count} match${preview.count !== 1 ? 'es' : ''}`, 'success');
+}
+
+/**
+ * Run the glossary over a transcription that just arrived, if that's turned on
+ * @param {Object} transcription
+ * @returns {Object} - The transcription, corrected
+ */
+function applyGlossaryToNew(transcription) {
+  const rules = getEnabledGlossary();
+  if (!state.settings.applyGlossary || !rules.length) return transcription;
+  
+  const { transcription: corrected, count } = window.TranscriptReplace.applyRules(transcription, rules);
+  if (count) {
+    showToast(`Glossary made ${count} replacement${count !== 1 ? 's' : ''}`, 'info');
+  }
+  return corrected;
+}
+
+// =============================================================================
+// GLOSSARY
+// =============================================================================
+
+async function loadGlossary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_GLOSSARY' });
+    state.glossary = response.success ? response.data : [];
+    renderGlossary();
+  } catch (error) {
+    debugLog('Error loading glossary:', error);
+  }
+}
+
+async function saveGlossary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SET_GLOSSARY', data: state.glossary });
+    if (!response.success) throw new Error(response.error);
+  } catch (error) {
+    debugLog('Error saving glossary:', error);
+    showToast('Failed to save the glossary', 'error');
+  }
+  
+  renderGlossary();
+  refreshReplacePreview();
+}
+
+/**
+ * Add the typed rule to the glossary, replacing a rule that finds the same thing
+ */
+async function saveGlossaryRule() {
+  const rule = getReplaceRule();
+  if (!rule.find || window.TranscriptReplace.validateRule(rule)) return;
+  
+  const sameFind = (r) => r.find === rule.find && !!r.regex === rule.regex && !!r.wholeWord === rule.wholeWord && !!r.matchCase === rule.matchCase;
+  state.glossary = [...state.glossary.filter(r => !sameFind(r)), rule];
+  
+  await saveGlossary();
+  showToast('Saved to the glossary', 'success');
+}
+
+function renderGlossary() {
+  const escape = window.Utils.escapeHtml;
+  
+  if (!state.glossary.length) {
+    elements.glossaryList.innerHTML = '<li class="glossary-empty">Save rules from Find &amp; replace on a transcript</li>';
+    return;
+  }
+  
+  elements.glossaryList.innerHTML = state.glossary.map((rule, index) => {
+    const flags = [rule.regex && 'regex', rule.wholeWord && 'whole word', rule.matchCase && 'match case'].filter(Boolean).join(', ');
+    
+    return `
+      <li class="glossary-item" data-index="${index}">
+        <input type="checkbox" class="glossary-enabled" title="Use this rule"${rule.enabled !== false ? ' checked' : ''} />
+        <span class="glossary-rule">
+          <code>${escape(rule.find)}</code> → <code>${escape(rule.replace) || '<em>nothing</em>'}</code>
+          ${flags ? `<span class="glossary-flags">${flags}</span>` : ''}
+        </span>
+        <button class="icon-button-small glossary-delete" title="Delete rule">
+          <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+        </button>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Turn a glossary rule on or off, or delete it
+ */
+function handleGlossaryClick(event) {
+  const item = event.target.closest('.glossary-item');
+  if (!item) return;
+  
+  const index = Number(item.dataset.index);
+  
+  if (event.target.closest('.glossary-delete')) {
+    state.glossary = state.glossary.filter((_, i) => i !== index);
+    saveGlossary();
+  } else if (event.target.matches('.glossary-enabled')) {
+    state.glossary = state.glossary.map((rule, i) => (i === index ? { ...rule, enabled: event.target.checked } : rule));
+    saveGlossary();
+  }
+}
+
+// =============================================================================
+// SPEAKERS
+// =============================================================================
+
+// Number of .speaker-color-N classes in sidepanel.css
+const SPEAKER_COLOR_COUNT = 8;
+
+/**
+ * Merge consecutive segments by the same speaker
+ * @param {Array} segments - Speaker-labelled segments
+ * @returns {Array<{speaker: number, start: number, text: string}>}
+ */
+function getSpeakerTurns(segments) {
+  const turns = [];
+  
+  segments.forEach(segment => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) {
+      last.text += ` ${segment.text.trim()}`;
+    } else {
+      turns.push({ speaker: segment.speaker, start: segment.start, text: segment.text.trim() });
+    }
+  });
+  
+  return turns;
+}
+
+/**
+ * Speaker name tag for a segment, shown only where the speaker changes
+ * @param {Object} segment - Segment (or turn) with an optional speaker
+ * @param {Object} [previous] - The segment before it
+ * @returns {string} - HTML, empty when no label is needed
+ */
+function renderSpeakerLabel(segment, previous) {
+  if (!Number.isInteger(segment.speaker)) return '';
+  if (previous && previous.speaker === segment.speaker) return '';
+  
+  const name = window.WhisperAPI.getSpeakerLabel(segment, state.speakerNames.names);
+  return `<button type="button" class="transcript-speaker speaker-color-${segment.speaker % SPEAKER_COLOR_COUNT}" data-speaker="${segment.speaker}" title="Click to rename">${window.Utils.escapeHtml(name)}</button>`;
+}
+
+/**
+ * Load the current video's speaker names and update the labels on screen
+ */
+async function refreshSpeakerNames() {
+  const videoId = state.currentVideo?.videoId || state.transcription?.videoId;
+  if (!videoId || !window.WhisperAPI.hasSpeakers(state.transcription || {})) return;
+  
+  if (state.speakerNames.videoId !== videoId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SPEAKER_NAMES', data: videoId });
+      state.speakerNames = { videoId, names: response.success ? response.data : {} };
+    } catch (error) {
+      debugLog('Error loading speaker names:', error);
+      state.speakerNames = { videoId, names: {} };
+    }
+  }
+  
+  updateSpeakerLabels();
+}
+
+/**
+ * Show the current speaker names on every speaker label
+ */
+function updateSpeakerLabels() {
+  elements.transcriptionText.querySelectorAll('.transcript-speaker').forEach(label => {
+    const speaker = parseInt(label.dataset.speaker, 10);
+    label.textContent = window.WhisperAPI.getSpeakerLabel({ speaker }, state.speakerNames.names);
+  });
+}
+
+/**
+ * Replace a speaker label with an input to rename that speaker for this video
+ * @param {HTMLElement} label - The clicked .transcript-speaker button
+ */
+function startSpeakerRename(label) {
+  const speaker = parseInt(label.dataset.speaker, 10);
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = `speaker-rename-input ${label.className.replace('transcript-speaker', '')}`;
+  input.value = label.textContent;
+  input.setAttribute('aria-label', 'Speaker name');
+  
+  let finished = false;
+  const finish = async (save) => {
+    if (finished) return;
+    finished = true;
+    input.replaceWith(label);
+    
+    if (!save) return;
+    
+    const name = input.value.trim();
+    const names = { ...state.speakerNames.names };
+    if (name && name !== `Speaker ${speaker + 1}`) {
+      names[speaker] = name;
+    } else {
+      delete names[speaker];
+    }
+    
+    state.speakerNames = { videoId: state.speakerNames.videoId || state.currentVideo?.videoId, names };
+    updateSpeakerLabels();
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'SET_SPEAKER_NAMES',
+        data: { videoId: state.speakerNames.videoId, names }
+      });
+    } catch (error) {
+      debugLog('Error saving speaker names:', error);
+      showToast('Failed to save speaker name', 'error');
+    }
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+    e.stopPropagation(); // keep panel shortcuts out of the way while typing
+  });
+  input.addEventListener('blur', () => finish(true));
+  input.addEventListener('click', (e) => e.stopPropagation());
+  
+  label.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+// =============================================================================
+// FOLLOW ALONG
+// =============================================================================
+
+// Positions older than this aren't extrapolated (tab hidden, player stalled)
+const PLAYBACK_EXTRAPOLATE_MS = 1500;
+
+let playbackFrame = null;
+
+/**
+ * Record a position reported by the content script and update the highlight
+ * @param {{videoId: string, currentTime: number, paused: boolean, playbackRate: number}} data
+ */
+function handlePlaybackPosition(data) {
+  if (!data || data.videoId !== state.currentVideo?.videoId) return;
+  
+  state.playback = {
+    videoId: data.videoId,
+    time: data.currentTime,
+    paused: data.paused,
+    rate: data.playbackRate || 1,
+    receivedAt: performance.now()
+  };
+  
+  refreshPlaybackHighlight();
+  
+  // timeupdate only fires a few times a second, so animate between reports
+  if (!data.paused && !playbackFrame) {
+    playbackFrame = requestAnimationFrame(tickPlayback);
+  }
+}
+
+/**
+ * Estimate where the player is now from its last report
+ * @returns {number}
+ */
+function getPlaybackTime() {
+  const { time, paused, rate, receivedAt } = state.playback;
+  if (paused) return time;
+  
+  const elapsed = Math.min(performance.now() - receivedAt, PLAYBACK_EXTRAPOLATE_MS);
+  return time + elapsed / 1000 * rate;
+}
+
+function tickPlayback() {
+  playbackFrame = null;
+  if (state.playback.paused) return;
+  
+  refreshPlaybackHighlight();
+  
+  if (performance.now() - state.playback.receivedAt < PLAYBACK_EXTRAPOLATE_MS) {
+    playbackFrame = requestAnimationFrame(tickPlayback);
+  }
+}
+
+/**
+ * Index of the segment being spoken at a time, or -1 before the first one
+ * and after the last one ends. A segment stays active through the pause
+ * that follows it.
+ * @param {Array} segments - Sorted by start
+ * @param {number} time - Seconds
+ * @returns {number}
+ */
+function findSegmentIndexAt(segments, time) {
+  let low = 0;
+  let high = segments.length - 1;
+  let index = -1;
+  
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid].start <= time) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  if (index === segments.length - 1 && time >= segments[index].end) return -1;
+  return index;
+}
+
+/**
+ * Highlight the active segment and word for the player's current position
+ */
+function refreshPlaybackHighlight() {
+  if (state.playback.time === null || state.playback.videoId !== state.currentVideo?.videoId) return;
+  
+  const segments = state.transcription?.segments;
+  if (!segments?.length) return;
+  
+  const container = elements.transcriptionText;
+  const time = getPlaybackTime();
+  const index = findSegmentIndexAt(segments, time);
+  let active = container.querySelector('.transcript-segment.active');
+  
+  if (!active || Number(active.dataset.index) !== index) {
+    active?.classList.remove('active');
+    active?.querySelector('.transcript-word.active')?.classList.remove('active');
+    
+    active = index === -1 ? null : container.querySelector(`.transcript-segment[data-index="${index}"]`);
+    if (!active) return;
+    
+    active.classList.add('active');
+    // Don't pull the transcript away from a segment being edited
+    if (state.followPlayback && !state.editing) {
+      scrollToSegment(active);
+    }
+  }
+  
+  // Karaoke: the last word that has started
+  const words = active.querySelectorAll('.transcript-word');
+  let current = null;
+  for (const word of words) {
+    if (parseFloat(word.dataset.start) > time) break;
+    current = word;
+  }
+  
+  const previous = active.querySelector('.transcript-word.active');
+  if (previous !== current) {
+    previous?.classList.remove('active');
+    current?.classList.add('active');
+  }
+}
+
+/**
+ * Scroll the transcript so a segment sits in its upper third
+ * @param {HTMLElement} segmentEl
+ */
+function scrollToSegment(segmentEl) {
+  const content = elements.transcriptionContent;
+  const top = segmentEl.offsetTop - content.clientHeight / 3;
+  content.scrollTo({ top: Math.max(0, top) });
+}
+
+/**
+ * Stop auto-scrolling after the user scrolls the transcript themselves
+ */
+function pauseFollowing() {
+  if (!state.followPlayback || state.playback.time === null) return;
+  
+  state.followPlayback = false;
+  elements.resumeFollowBtn.classList.remove('hidden');
+}
+
+/**
+ * Go back to keeping the active segment in view
+ */
+function resumeFollowing() {
+  state.followPlayback = true;
+  elements.resumeFollowBtn.classList.add('hidden');
+  
+  const active = elements.transcriptionText.querySelector('.transcript-segment.active');
+  if (active) {
+    scrollToSegment(active);
+  }
+}
+
+// =============================================================================
+// VARIANTS
+// =============================================================================
+
+/**
+ * Fetch the cached variants of a video's transcript into state.variants
+ * @param {string} videoId
+ * @returns {Promise<Object[]>}
+ */
+async function loadVariants(videoId) {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_TRANSCRIPT_VARIANTS', data: videoId });
+  state.variants = response.success ? response.data : [];
+  return state.variants;
+}
+
+/**
+ * How closely a variant matches the current settings; higher is better
+ * @param {Object} variant
+ * @returns {number}
+ */
+function scoreVariant(variant) {
+  const { settings } = state;
+  const provider = getRequestProvider();
+  const requestedLanguage = variant.requestedLanguage || 'auto';
+  let score = 0;
+  
+  if (variant.mode === 'captions') {
+    // Only preferred while captions are turned on
+    if ((settings.useCaptions || 'off') !== 'off') score += 12;
+  } else if (variant.mode === settings.transcriptionMode) {
+    score += 8;
+    // No local engine chosen means whichever one the server uses
+    if (!provider || variant.provider === provider) score += 4;
+  }
+  
+  if (settings.language === 'auto' ? requestedLanguage === 'auto' : [requestedLanguage, variant.language].includes(settings.language)) {
+    score += 2;
+  }
+  
+  if (!!variant.options?.diarize === !!settings.diarize) score += 1;
+  if (!variant.options?.range) score += 1; // Whole video over a part of it
+  if ((variant.options?.translate || '') === (settings.translateTo || '')) score += 1;
+  
+  return score;
+}
+
+/**
+ * The variant to show when a video is opened: best match, then newest
+ * @param {Object[]} variants
+ * @returns {Object|null}
+ */
+function pickVariant(variants) {
+  if (!variants.length) return null;
+  
+  return variants.reduce((best, variant) => {
+    const diff = scoreVariant(variant) - scoreVariant(best);
+    return diff > 0 || (diff === 0 && variant.timestamp > best.timestamp) ? variant : best;
+  });
+}
+
+/**
+ * Short description of a variant for the switcher
+ * @param {Object} variant
+ * @returns {string}
+ */
+function describeVariant(variant) {
+  const provider = variant.mode === 'captions'
+    ? { label: 'YouTube captions' }
+    : state.providers.find(p => p.name === variant.provider);
+  const language = variant.requestedLanguage && variant.requestedLanguage !== 'auto'
+    ? variant.requestedLanguage
+    : variant.language;
+  
+  return [
+    [provider?.label || variant.provider, variant.model].filter(Boolean).join(' · '),
+    language && getLanguageName(language),
+    variant.options?.range && describeTimeRange(variant.options.range),
+    variant.options?.diarize && 'speakers',
+    variant.options?.vocab && 'custom vocabulary',
+    variant.options?.translate && `translated to ${getLanguageName(variant.options.translate)}`,
+    variant.edited && 'edited',
+    window.Utils.getRelativeTime(variant.timestamp)
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Load one cached variant and display it
+ * @param {string} videoId
+ * @param {string} key
+ */
+async function showVariant(videoId, key) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_CACHED_TRANSCRIPTION',
+    data: { videoId, key }
+  });
+  if (!response.success || !response.data) throw new Error(response.error || 'Transcript not found');
+  
+  state.transcription = response.data;
+  displayTranscription(response.data);
+  renderVariantSwitcher();
+}
+
+/**
+ * Read a variant without making it the one the caption overlay shows
+ * @param {string} videoId
+ * @param {string} key
+ * @returns {Promise<Object>}
+ */
+async function fetchVariant(videoId, key) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_CACHED_TRANSCRIPTION',
+    data: { videoId, key, touch: false }
+  });
+  if (!response.success || !response.data) throw new Error(response.error || 'Transcript not found');
+  
+  return response.data;
+}
+
+/**
+ * Show the variant switcher when the current video has more than one transcript
+ */
+function renderVariantSwitcher() {
+  const select = elements.variantSelect;
+  const currentKey = state.transcription?.key;
+  const show = state.variants.length > 1 && state.variants.some(v => v.key === currentKey);
+  
+  elements.variantRow.classList.toggle('hidden', !show);
+  if (!show) {
+    closeCompare();
+    return;
+  }
+  
+  fillVariantOptions(select);
+  select.value = currentKey;
+}
+
+/**
+ * Fill a select with the current video's variants, newest first
+ * @param {HTMLSelectElement} select
+ */
+function fillVariantOptions(select) {
+  select.innerHTML = '';
+  [...state.variants]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .forEach(variant => {
+      const option = document.createElement('option');
+      option.value = variant.key;
+      option.textContent = describeVariant(variant);
+      select.appendChild(option);
+    });
+}
+
+/**
+ * Switch to the variant picked in the header
+ */
+async function handleVariantChange() {
+  const videoId = state.currentVideo?.videoId;
+  if (!videoId) return;
+  
+  try {
+    await showVariant(videoId, elements.variantSelect.value);
+  } catch (error) {
+    debugLog('Error switching variant:', error);
+    showToast('Failed to load that transcript', 'error');
+    await loadVariants(videoId);
+    renderVariantSwitcher();
+  }
+}
+
+// =============================================================================
+// COMPARE
+// =============================================================================
+
+// Drops comparisons the user has already changed the picks of
+let compareRunId = 0;
+
+/**
+ * Open the compare view with the shown variant as A and the newest other one as B
+ */
+function openCompare() {
+  const currentKey = state.transcription?.key;
+  const other = [...state.variants]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .find(v => v.key !== currentKey);
+  if (!other) return;
+  
+  fillVariantOptions(elements.compareVariantA);
+  fillVariantOptions(elements.compareVariantB);
+  elements.compareVariantA.value = currentKey;
+  elements.compareVariantB.value = other.key;
+  
+  elements.compareSection.classList.remove('hidden');
+  elements.compareSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  runCompare();
+}
+
+function closeCompare() {
+  compareRunId++;
+  state.compareResult = null;
+  elements.compareSection.classList.add('hidden');
+  elements.compareRows.innerHTML = '';
+}
+
+/**
+ * Diff the two picked variants and render the result
+ */
+async function runCompare() {
+  const videoId = state.currentVideo?.videoId;
+  const keyA = elements.compareVariantA.value;
+  const keyB = elements.compareVariantB.value;
+  const runId = ++compareRunId;
+  if (!videoId || !keyA || !keyB) return;
+  
+  elements.compareStats.textContent = 'Comparing...';
+  
+  try {
+    const [a, b] = await Promise.all([fetchVariant(videoId, keyA), fetchVariant(videoId, keyB)]);
+    if (runId !== compareRunId) return;
+    
+    renderCompare(window.TranscriptCompare.compareTranscripts(a, b));
+  } catch (error) {
+    debugLog('Error comparing transcripts:', error);
+    elements.compareStats.textContent = '';
+    showToast('Failed to compare transcripts', 'error');
+  }
+}
+
+/**
+ * Words of one side of a row as HTML, marking what differs from the other side
+ * @param {Array} ops - Edit script from TranscriptCompare
+ * @param {string} side - 'a' or 'b'
+ * @returns {string}
+ */
+function renderCompareSide(ops, side) {
+  const escape = window.Utils.escapeHtml;
+  const tag = side === 'a' ? 'del' : 'ins';
+  
+  return ops
+    .filter(op => op[side] !== undefined)
+    .map(op => {
+      const word = escape(op[side]);
+      if (op.type === 'equal') return word;
+      
+      const title = op.type === 'substitute' ? ` title="${side === 'a' ? 'B' : 'A'}: ${escape(op[side === 'a' ? 'b' : 'a'])}"` : '';
+      return `<${tag} class="diff-${op.type}"${title}>${word}</${tag}>`;
+    })
+    .join(' ');
+}
+
+/**
+ * @param {{rows: Array, stats: Object}} result - From TranscriptCompare.compareTranscripts
+ */
+function renderCompare({ rows, stats }) {
+  const changedOnly = elements.compareChangedOnly.checked;
+  const escape = window.Utils.escapeHtml;
+  
+  elements.compareStats.textContent = stats.wer === null
+    ? 'Nothing to compare'
+    : `WER ≈ ${(stats.wer * 100).toFixed(1)}% · ${stats.substitutions} substituted, ${stats.deletions} missing, ${stats.insertions} extra of ${stats.referenceWords.toLocaleString()} words`
+      + (stats.skippedRows ? ` (${stats.skippedRows} long passage${stats.skippedRows !== 1 ? 's' : ''} not compared)` : '');
+  
+  const html = rows.map(row => {
+    const changed = !row.ops || row.ops.some(op => op.type !== 'equal');
+    if (changedOnly && !changed) return '';
+    
+    const [a, b] = row.ops
+      ? [renderCompareSide(row.ops, 'a'), renderCompareSide(row.ops, 'b')]
+      : [`<span class="compare-too-long">${escape(row.a)}</span>`, `<span class="compare-too-long">${escape(row.b)}</span>`];
+    
+    return `
+      <div class="compare-row${changed ? '' : ' unchanged'}" data-start="${row.start}" title="Click to jump to this timestamp">
+        <span class="transcript-timestamp">${formatTimestampForDisplay(row.start)}</span>
+        <span>${a}</span>
+        <span>${b}</span>
+      </div>
+    `;
+  }).join('');
+  
+  elements.compareRows.innerHTML = html || '<p class="compare-empty">No differences</p>';
+  state.compareResult = { rows, stats };
+}
+
+/**
+ * Clicking a compare row seeks the video to it
+ */
+async function handleCompareClick(event) {
+  const row = event.target.closest('.compare-row');
+  if (!row) return;
+  
+  const seconds = parseFloat(row.dataset.start);
+  if (!isNaN(seconds) && !await seekVideo(seconds)) {
+    showToast("Couldn't seek the video", 'warning');
+  }
+}
+
+// =============================================================================
+// LIBRARY
+// =============================================================================
+
+const LIBRARY_SORTS = {
+  recent: (a, b) => b.timestamp - a.timestamp,
+  oldest: (a, b) => a.timestamp - b.timestamp,
+  title: (a, b) => a.title.localeCompare(b.title),
+  channel: (a, b) => a.channel.localeCompare(b.channel) || b.timestamp - a.timestamp,
+  duration: (a, b) => (b.duration || 0) - (a.duration || 0)
+};
+
+/**
+ * Show or hide the library, refreshing it on open
+ */
+function toggleLibrary() {
+  const opening = elements.libraryPanel.classList.contains('hidden');
+  
+  elements.libraryPanel.classList.toggle('hidden', !opening);
+  elements.libraryToggle.classList.toggle('active', opening);
+  
+  if (opening) {
+    loadLibrary();
+  }
+}
+
+/**
+ * Fetch the summaries of every cached transcription and render them
+ */
+async function loadLibrary() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'LIST_CACHED_TRANSCRIPTIONS' });
+    if (!response.success) throw new Error(response.error);
+    
+    state.library = response.data;
+    renderLibrary();
+  } catch (error) {
+    debugLog('Error loading library:', error);
+    showToast('Failed to load library', 'error');
+  }
+}
+
+/**
+ * Text the library filter matches against
+ * @param {Object} entry
+ * @returns {string}
+ */
+function getLibrarySearchText(entry) {
+  const language = entry.language ? getLanguageName(entry.language) : '';
+  return [entry.title, entry.channel, entry.language, language, entry.provider, entry.model]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * Render the library list with the current filter and sort
+ */
+function renderLibrary() {
+  const filter = elements.libraryFilter.value.trim().toLowerCase();
+  const pinnedOnly = elements.libraryPinnedOnly.checked;
+  const sort = LIBRARY_SORTS[elements.librarySort.value] || LIBRARY_SORTS.recent;
+  
+  const entries = state.library
+    .filter(entry => !pinnedOnly || entry.pinned)
+    .filter(entry => !filter || getLibrarySearchText(entry).includes(filter))
+    .sort(sort);
+  
+  const total = state.library.length;
+  elements.libraryCount.textContent = entries.length === total
+    ? `${total} transcript${total !== 1 ? 's' : ''}`
+    : `${entries.length} of ${total} transcripts`;
+  
+  if (!entries.length) {
+    elements.libraryList.innerHTML = `<li class="library-empty">${total ? 'No transcripts match' : 'Transcribed videos will appear here'}</li>`;
+    return;
+  }
+  
+  const escape = window.Utils.escapeHtml;
+  
+  elements.libraryList.innerHTML = entries.map(entry => {
+    const meta = [
+      entry.channel,
+      entry.language && getLanguageName(entry.language),
+      entry.options?.range && describeTimeRange(entry.options.range),
+      [entry.mode === 'captions' ? 'YouTube captions' : entry.provider, entry.model].filter(Boolean).join(' · '),
+      entry.options?.diarize && 'speakers',
+      entry.options?.vocab && 'custom vocabulary',
+      entry.options?.translate && `translated to ${getLanguageName(entry.options.translate)}`,
+      entry.edited && 'edited',
+      entry.duration && formatDuration(entry.duration),
+      entry.bytes && window.Utils.formatFileSize(entry.bytes),
+      window.Utils.getRelativeTime(entry.timestamp)
+    ].filter(Boolean).join(' • ');
+    const current = entry.key === state.transcription?.key ? ' current' : '';
+    
+    return `
+      <li class="library-item${current}" data-video-id="${escape(entry.videoId)}" data-key="${escape(entry.key)}" title="Open this transcript and its video">
+        <img class="library-thumbnail" src="${window.Utils.getThumbnailUrl(entry.videoId, 'mqdefault')}" alt="" loading="lazy" />
+        <div class="library-details">
+          <div class="library-title">${escape(entry.title || entry.videoId)}</div>
+          <div class="library-meta">${escape(meta)}</div>
+        </div>
+        <div class="library-actions">
+          <button class="icon-button-small library-pin${entry.pinned ? ' active' : ''}" title="${entry.pinned ? 'Unpin' : 'Pin so it is never evicted'}">
+            <svg viewBox="0 0 24 24" fill="currentColor"><path d="M16 9V4h1c.55 0 1-.45 1-1s-.45-1-1-1H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z"/></svg>
+          </button>
+          <button class="icon-button-small library-delete" title="Delete">
+            <svg viewBox="0 0 24 24" fill="currentColor"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+          </button>
+        </div>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Pin or unpin a library entry
+ * @param {string} key - Variant key
+ */
+async function toggleLibraryPin(key) {
+  const entry = state.library.find(e => e.key === key);
+  if (!entry) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_TRANSCRIPTION_PINNED',
+      data: { key, pinned: !entry.pinned }
+    });
+    if (!response.success) throw new Error(response.error);
+    
+    entry.pinned = !entry.pinned;
+    renderLibrary();
+  } catch (error) {
+    debugLog('Error pinning transcript:', error);
+    showToast('Failed to update pin', 'error');
+  }
+}
+
+/**
+ * Delete one transcript from the library
+ * @param {string} key - Variant key
+ */
+async function deleteLibraryEntry(key) {
+  const entry = state.library.find(e => e.key === key);
+  if (!entry || !confirm(`Delete the transcript of "${entry.title || entry.videoId}"?`)) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DELETE_CACHED_TRANSCRIPTION',
+      data: { videoId: entry.videoId, key }
+    });
+    if (!response.success) throw new Error(response.error);
+    
+    state.library = state.library.filter(e => e.key !== key);
+    renderLibrary();
+    if (entry.videoId === state.currentVideo?.videoId) {
+      await loadVariants(entry.videoId);
+      renderVariantSwitcher();
+    }
+    showToast('Transcript deleted', 'success');
+  } catch (error) {
+    debugLog('Error deleting transcript:', error);
+    showToast('Failed to delete transcript', 'error');
+  }
+}
+
+/**
+ * Open a library transcript. Another video is opened in the current YouTube tab
+ * (or a new one), and the usual video detection then loads its transcript.
+ * @param {string} videoId
+ * @param {number} [seconds] - Start playback here
+ * @param {string} [key] - Variant to show
+ */
+async function openLibraryEntry(videoId, seconds = null, key = null) {
+  toggleLibrary();
+  
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (state.currentVideo?.videoId === videoId) {
+      await checkCachedTranscription(videoId, key);
+      if (seconds !== null && tab) {
+        await chrome.tabs.sendMessage(tab.id, { type: 'SEEK_TO_TIMESTAMP', data: seconds });
+      }
+      return;
+    }
+    
+    let url = window.Utils.buildYouTubeUrl(videoId);
+    if (seconds !== null) {
+      url += `&t=${Math.floor(seconds)}s`;
+    }
+    state.pendingVariant = key ? { videoId, key } : null;
+    
+    if (tab && /^https:\/\/(www\.)?youtube\.com\//.test(tab.url || '')) {
+      await chrome.tabs.update(tab.id, { url });
+    } else {
+      await chrome.tabs.create({ url });
+    }
+  } catch (error) {
+    debugLog('Error opening video:', error);
+    showToast('Failed to open video', 'error');
+  }
 }
 
+// Drops responses to searches the user has already typed past
+let librarySearchId = 0;
+
 /**
- * Get readable language name from code
+ * Search inside every cached transcript; an empty query goes back to the list
  */
-function getLanguageName(code) {
-  const languages = {
-    'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
-    'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'zh': 'Chinese',
-    'ja': 'Japanese', 'ko': 'Korean', 'ar': 'Arabic', 'hi': 'Hindi',
-    'nl': 'Dutch', 'pl': 'Polish', 'tr': 'Turkish', 'vi': 'Vietnamese',
-    'th': 'Thai', 'id': 'Indonesian', 'sv': 'Swedish', 'da': 'Danish'
-  };
-  return languages[code] || code.toUpperCase();
+async function searchLibrary() {
+  const query = elements.librarySearch.value.trim();
+  const searchId = ++librarySearchId;
+  
+  elements.librarySearchResults.classList.toggle('hidden', !query);
+  elements.libraryBrowse.classList.toggle('hidden', !!query);
+  if (!query) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'SEARCH_TRANSCRIPTIONS', data: { query } });
+    if (searchId !== librarySearchId) return;
+    if (!response.success) throw new Error(response.error);
+    
+    renderSearchResults(response.data);
+  } catch (error) {
+    debugLog('Error searching transcripts:', error);
+    showToast('Search failed', 'error');
+  }
 }
 
 /**
- * Format duration in seconds to readable string
+ * Mark where query words start inside a hit; the last word may be a prefix
+ * @param {string} text
+ * @param {string[]} words - Normalized query words from the index
+ * @returns {string} HTML
  */
-function formatDuration(seconds) {
-  const hrs = Math.floor(seconds / 3600);
-  const mins = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
+function highlightSearchWords(text, words) {
+  const html = window.Utils.escapeHtml(text);
+  if (!words.length) return html;
   
-  if (hrs > 0) {
-    return `${hrs}h ${mins}m`;
-  } else if (mins > 0) {
-    return `${mins}m ${secs}s`;
-  }
-  return `${secs}s`;
+  const pattern = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  return html.replace(new RegExp(`(^|[^\\p{L}\\p{N}])(${pattern})`, 'giu'), '$1<mark>$2</mark>');
 }
 
 /**
- * Format date for transcription display
+ * @param {{words: string[], videos: Array, totalVideos: number}} results
  */
-function formatTranscriptionDate(timestamp) {
-  const date = new Date(timestamp);
-  return date.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
+function renderSearchResults({ words, videos, totalVideos }) {
+  if (!videos.length) {
+    elements.librarySearchResults.innerHTML = '<p class="library-empty">No transcripts mention that</p>';
+    return;
+  }
+  
+  const escape = window.Utils.escapeHtml;
+  let html = `<p class="library-count">Found in ${totalVideos} video${totalVideos !== 1 ? 's' : ''}</p>`;
+  
+  videos.forEach(video => {
+    html += `
+      <div class="search-hit-group">
+        <div class="search-hit-video">
+          <span>${escape(video.title || video.videoId)}</span>
+          <span class="search-hit-count">${video.totalHits} match${video.totalHits !== 1 ? 'es' : ''}</span>
+        </div>
+        ${video.hits.map(hit => `
+          <button class="search-hit" data-video-id="${escape(video.videoId)}" data-key="${escape(video.key)}" data-start="${hit.start}">
+            <span class="transcript-timestamp">${formatTimestampForDisplay(hit.start)}</span>
+            <span>${highlightSearchWords(hit.text, words)}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
   });
+  
+  elements.librarySearchResults.innerHTML = html;
 }
 
 /**
- * Format seconds to MM:SS or HH:MM:SS timestamp
+ * Clicks anywhere in the library list: pin, delete or open
  */
-function formatTimestampForDisplay(seconds) {
-  const hrs = Math.floor(seconds / 3600);
-  const mins = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
+function handleLibraryClick(event) {
+  const item = event.target.closest('.library-item');
+  if (!item) return;
   
-  if (hrs > 0) {
-    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const { videoId, key } = item.dataset;
+  
+  if (event.target.closest('.library-pin')) {
+    toggleLibraryPin(key);
+  } else if (event.target.closest('.library-delete')) {
+    deleteLibraryEntry(key);
+  } else {
+    openLibraryEntry(videoId, null, key);
   }
-  return `${mins}:${secs.toString().padStart(2, '0')}`;
 }
 
+// =============================================================================
+// BATCH
+// =============================================================================
+
+// Status shown next to each video in the batch list
+const BATCH_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Transcribing',
+  done: 'Done',
+  cached: 'Cached',
+  error: 'Failed',
+  cancelled: 'Cancelled'
+};
+
 /**
- * Split text into readable paragraphs
+ * Toggle the batch panel. Opening it on a playlist or channel page fills in that URL.
  */
-function splitIntoParagraphs(text) {
-  // Split at sentence boundaries where we have 2+ sentences
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-  const paragraphs = [];
-  let currentParagraph = '';
+async function toggleBatch() {
+  const opening = elements.batchPanel.classList.contains('hidden');
   
-  sentences.forEach((sentence, i) => {
-    currentParagraph += sentence.trim() + ' ';
-    
-    // Create paragraph every 3-5 sentences or at natural breaks
-    if ((i + 1) % 4 === 0 || i === sentences.length - 1) {
-      if (currentParagraph.trim()) {
-        paragraphs.push(currentParagraph.trim());
+  elements.batchPanel.classList.toggle('hidden', !opening);
+  elements.batchToggle.classList.toggle('active', opening);
+  
+  if (opening && !state.batch.running) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CURRENT_COLLECTION' });
+      if (response.success && response.data && response.data !== state.batch.url) {
+        elements.batchUrl.value = response.data;
       }
-      currentParagraph = '';
+    } catch (error) {
+      debugLog('Error getting current playlist:', error);
     }
-  });
-  
-  if (currentParagraph.trim()) {
-    paragraphs.push(currentParagraph.trim());
   }
-  
-  return paragraphs.length > 0 ? paragraphs : [text];
 }
 
 /**
- * Handle search within transcription
+ * Videos that can be queued: not cached already, not live, and within the server's length limit
+ * @param {Object} entry
+ * @returns {boolean}
  */
-function handleSearch() {
-  const searchTerm = elements.searchInput.value.trim();
-  
-  // Toggle clear button visibility
-  if (elements.clearSearch) {
-    elements.clearSearch.classList.toggle('hidden', !searchTerm);
-  }
-  
-  if (!searchTerm || !state.transcription) {
-    // Re-render without highlighting
-    if (state.transcription) {
-      displayTranscription(state.transcription);
-    }
-    elements.searchResults.textContent = '';
-    return;
-  }
-  
-  // Count matches in the full text
-  const regex = new RegExp(searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-  const matches = state.transcription.text.match(regex);
-  const count = matches ? matches.length : 0;
+function isBatchSelectable(entry) {
+  return !entry.cached && !entry.isLive && !entry.tooLong;
+}
+
+/**
+ * @param {number|null} cost - Dollars, null if unknown
+ * @returns {string}
+ */
+function formatBatchCost(cost) {
+  if (cost === null || cost === undefined) return '';
+  return cost === 0 ? 'Free' : `$${cost.toFixed(3)}`;
+}
+
+/**
+ * List the videos of the playlist or channel in the URL field
+ */
+async function loadBatch() {
+  const url = elements.batchUrl.value.trim();
+  if (!url || state.batch.running) return;
   
-  elements.searchResults.textContent = count > 0 ? `${count} match${count !== 1 ? 'es' : ''} found` : 'No matches';
+  elements.batchLoadBtn.disabled = true;
+  elements.batchSummary.textContent = 'Listing videos...';
   
-  // Re-render with search highlighting
-  if (state.settings.showTimestamps && state.transcription.segments?.length) {
-    let displayHtml = '<div class="transcription-segments">';
-    
-    state.transcription.segments.forEach((segment, index) => {
-      const startTime = formatTimestampForDisplay(segment.start);
-      const text = window.Utils.highlightSearchTerm(segment.text.trim(), searchTerm);
-      
-      displayHtml += `
-        <div class="transcript-segment" data-index="${index}" data-start="${segment.start}">
-          <span class="transcript-timestamp" title="Click to copy timestamp">${startTime}</span>
-          <span class="transcript-text">${text}</span>
-        </div>
-      `;
+  try {
+    const response = await fetch(`${BACKEND_URL}/playlist`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Provider': getRequestProvider(),
+        'X-Mode': state.settings.transcriptionMode || 'local'
+      },
+      body: JSON.stringify({ url })
     });
     
-    displayHtml += '</div>';
-    elements.transcriptionText.innerHTML = displayHtml;
-  } else {
-    const paragraphs = splitIntoParagraphs(state.transcription.text);
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: `Server HTTP error: ${response.status}` }));
+      throw new Error(error.error || `Server error: ${response.status}`);
+    }
     
-    let displayHtml = '<div class="transcription-plain">';
-    paragraphs.forEach(p => {
-      displayHtml += `<p>${window.Utils.highlightSearchTerm(p, searchTerm)}</p>`;
+    const { data } = await response.json();
+    const cachedResponse = await chrome.runtime.sendMessage({
+      type: 'GET_CACHED_VIDEO_IDS',
+      data: data.entries.map(entry => entry.videoId)
     });
-    displayHtml += '</div>';
+    const cached = new Set(cachedResponse.success ? cachedResponse.data : []);
     
-    elements.transcriptionText.innerHTML = displayHtml;
+    state.batch = {
+      ...state.batch,
+      // As typed or taken from the tab, so reopening the panel on the same page keeps the list
+      url,
+      title: data.title,
+      entries: data.entries.map(entry => {
+        const listed = { ...entry, cached: cached.has(entry.videoId), status: null, detail: '', error: null };
+        listed.status = listed.cached ? 'cached' : null;
+        listed.selected = isBatchSelectable(listed);
+        return listed;
+      })
+    };
+    renderBatch();
+  } catch (error) {
+    debugLog('Error listing playlist:', error);
+    elements.batchSummary.textContent = '';
+    showToast(`Couldn't list videos: ${error.message}`, 'error', 5000);
+  } finally {
+    elements.batchLoadBtn.disabled = false;
   }
 }
 
 /**
- * Copy transcription to clipboard
+ * Render the batch list
  */
-async function copyTranscription() {
-  if (!state.transcription) return;
-  
-  const text = state.settings.showTimestamps && state.transcription.segments?.length
-    ? window.WhisperAPI.formatTranscriptionWithTimestamps(state.transcription)
-    : state.transcription.text;
+function renderBatch() {
+  const { entries, running } = state.batch;
+  const escape = window.Utils.escapeHtml;
+  
+  elements.batchList.innerHTML = entries.map((entry, index) => {
+    const meta = [
+      entry.duration && formatDuration(entry.duration),
+      formatBatchCost(entry.cost),
+      entry.isLive && 'live or upcoming',
+      entry.tooLong && 'too long'
+    ].filter(Boolean).join(' • ');
+    
+    return `
+      <li class="batch-item" data-index="${index}">
+        <input type="checkbox" ${entry.selected ? 'checked' : ''} ${running || !isBatchSelectable(entry) ? 'disabled' : ''} aria-label="Transcribe this video" />
+        <div class="library-details">
+          <div class="library-title" title="${escape(entry.title)}">${escape(entry.title)}</div>
+          <div class="library-meta">${escape(meta)}</div>
+        </div>
+        <span class="batch-status"></span>
+      </li>
+    `;
+  }).join('');
   
-  const success = await window.Utils.copyToClipboard(text);
+  entries.forEach((entry, index) => updateBatchItem(index));
+  updateBatchSummary();
+}
+
+/**
+ * Show one video's queue status
+ * @param {number} index
+ */
+function updateBatchItem(index) {
+  const entry = state.batch.entries[index];
+  const status = elements.batchList.querySelector(`.batch-item[data-index="${index}"] .batch-status`);
+  if (!status) return;
+  
+  status.className = `batch-status ${entry.status || ''}`;
+  status.textContent = entry.detail || BATCH_STATUS_LABELS[entry.status] || '';
+  status.title = entry.error || status.textContent;
+}
+
+/**
+ * Totals for the selected videos, and the controls that depend on them
+ */
+function updateBatchSummary() {
+  const { title, entries, running } = state.batch;
+  const selected = entries.filter(entry => entry.selected);
+  const selectable = entries.filter(isBatchSelectable);
+  const cachedCount = entries.filter(entry => entry.cached).length;
+  const duration = selected.reduce((total, entry) => total + (entry.duration || 0), 0);
+  const cost = selected.reduce((total, entry) => total + (entry.cost || 0), 0);
+  
+  elements.batchSummary.textContent = entries.length
+    ? [
+        title,
+        `${entries.length} video${entries.length !== 1 ? 's' : ''}`,
+        cachedCount && `${cachedCount} cached`,
+        `${selected.length} selected`,
+        duration && formatDuration(duration),
+        selected.length && formatBatchCost(cost)
+      ].filter(Boolean).join(' • ')
+    : (state.batch.url ? 'No videos found' : '');
+  
+  elements.batchSelectAllRow.classList.toggle('hidden', !selectable.length);
+  elements.batchSelectAll.checked = selectable.length > 0 && selectable.every(entry => entry.selected);
+  elements.batchSelectAll.disabled = running;
+  
+  elements.batchActions.classList.toggle('hidden', !entries.length);
+  elements.batchStartBtn.disabled = running || !selected.length;
+  elements.batchStartBtn.textContent = running ? 'Transcribing...' : `Transcribe ${selected.length} selected`;
+  elements.batchStopBtn.classList.toggle('hidden', !running);
+  elements.batchStopBtn.disabled = !!state.batch.stopping;
+}
+
+/**
+ * Handle a video's checkbox in the batch list
+ */
+function handleBatchListChange(e) {
+  const item = e.target.closest('.batch-item');
+  if (!item) return;
   
-  if (success) {
-    showToast('Copied to clipboard', 'success');
-  } else {
-    showToast('Failed to copy', 'error');
-  }
+  state.batch.entries[Number(item.dataset.index)].selected = e.target.checked;
+  updateBatchSummary();
 }
 
 /**
- * Download transcription in specified format
+ * Select or deselect every video that can be queued
  */
-function downloadTranscription(format) {
-  if (!state.transcription) return;
+function toggleBatchSelectAll() {
+  const selected = elements.batchSelectAll.checked;
+  state.batch.entries.filter(isBatchSelectable).forEach(entry => {
+    entry.selected = selected;
+  });
+  renderBatch();
+}
+
+/**
+ * Transcribe the selected videos one after another
+ */
+async function runBatch() {
+  const { batch } = state;
+  if (batch.running) return;
   
-  const title = state.currentVideo?.title || 'transcription';
+  if (state.settings.transcriptionMode !== 'local' && !getCurrentApiKey()) {
+    showToast('Please add your API key in settings or switch to Local mode', 'error');
+    return;
+  }
   
-  switch (format) {
-    case 'txt':
-      const txtContent = state.settings.showTimestamps && state.transcription.segments?.length
-        ? window.WhisperAPI.formatTranscriptionWithTimestamps(state.transcription)
-        : state.transcription.text;
-      window.Utils.downloadAsTxt(txtContent, title);
-      break;
-      
-    case 'srt':
-      const srtContent = window.WhisperAPI.toSRT(state.transcription);
-      if (srtContent) {
-        window.Utils.downloadAsSrt(srtContent, title);
-      } else {
-        showToast('No timestamp data available for SRT export', 'warning');
-      }
-      break;
-      
-    case 'vtt':
-      const vttContent = window.WhisperAPI.toVTT(state.transcription);
-      window.Utils.downloadAsVtt(vttContent, title);
-      break;
+  const queue = batch.entries
+    .map((entry, index) => index)
+    .filter(index => batch.entries[index].selected);
+  
+  queue.forEach(index => {
+    Object.assign(batch.entries[index], { status: 'queued', detail: '', error: null });
+  });
+  batch.running = true;
+  batch.stopping = false;
+  renderBatch();
+  
+  let transcribed = 0;
+  for (const index of queue) {
+    if (batch.stopping) break;
+    if (await transcribeBatchEntry(index)) transcribed++;
   }
   
-  showToast(`Downloaded as ${format.toUpperCase()}`, 'success');
-  closeDropdown();
+  // Videos the stop left unstarted aren't queued anymore
+  queue.forEach(index => {
+    if (batch.entries[index].status === 'queued') batch.entries[index].status = null;
+  });
+  batch.running = false;
+  batch.stopping = false;
+  renderBatch();
+  
+  showToast(`Batch finished: ${transcribed} of ${queue.length} transcribed`, transcribed === queue.length ? 'success' : 'info');
+}
+
+/**
+ * Transcribe one queued video and cache it, unless it's been cached since the list was loaded
+ * @param {number} index
+ * @returns {Promise<boolean>} - Whether a new transcript was cached
+ */
+async function transcribeBatchEntry(index) {
+  const entry = state.batch.entries[index];
+  const setStatus = (status, detail = '') => {
+    entry.status = status;
+    entry.detail = detail;
+    updateBatchItem(index);
+  };
+  
+  try {
+    const statusResponse = await chrome.runtime.sendMessage({ type: 'GET_VIDEO_STATUS', data: entry.videoId });
+    if (statusResponse.success && statusResponse.data.cached) {
+      Object.assign(entry, { cached: true, selected: false });
+      setStatus('cached');
+      return false;
+    }
+    
+    setStatus('running');
+    const job = await createBackendJob(entry.url, { channel: entry.channel });
+    state.batch.jobId = job.id;
+    // Opening this video in the panel meanwhile reattaches to the same job
+    await chrome.runtime.sendMessage({ type: 'SET_ACTIVE_JOB', data: { videoId: entry.videoId, jobId: job.id } });
+    
+    let result;
+    try {
+      result = await followJob(job.id, {
+        info: (message) => setStatus('running', message),
+        progress: ({ phase, percent }) => {
+          const label = PROGRESS_PHASE_LABELS[phase] || 'Working';
+          setStatus('running', typeof percent === 'number' ? `${label} ${Math.round(percent)}%` : `${label}...`);
+        }
+      });
+    } finally {
+      state.batch.jobId = null;
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ACTIVE_JOB', data: entry.videoId });
+    }
+    
+    const transcription = applyGlossaryToNew({ success: true, ...result });
+    const response = await chrome.runtime.sendMessage({
+      type: 'SET_CACHED_TRANSCRIPTION',
+      data: { videoId: entry.videoId, transcription }
+    });
+    if (!response?.success) throw new Error(response?.error || 'Failed to cache the transcript');
+    
+    entry.cached = true;
+    entry.selected = false;
+    setStatus('done');
+    
+    if (entry.videoId === state.currentVideo?.videoId && !state.isTranscribing) {
+      checkCachedTranscription(entry.videoId);
+    }
+    return true;
+  } catch (error) {
+    debugLog('Batch transcription error:', entry.videoId, error);
+    entry.error = error.message;
+    setStatus(error.cancelled ? 'cancelled' : 'error');
+    return false;
+  }
+}
+
+/**
+ * Stop the queue after cancelling the video being transcribed
+ */
+async function stopBatch() {
+  if (!state.batch.running) return;
+  
+  state.batch.stopping = true;
+  updateBatchSummary();
+  
+  if (state.batch.jobId) {
+    try {
+      await fetch(`${BACKEND_URL}/jobs/${state.batch.jobId}`, { method: 'DELETE' });
+    } catch (error) {
+      debugLog('Error cancelling batch job:', error);
+      showToast('Failed to cancel transcription', 'error');
+    }
+  }
 }
 
 // =============================================================================
@@ -1205,8 +3761,22 @@ function closeDropdown() {
  * Handle keyboard shortcuts
  */
 function handleKeyboardShortcuts(event) {
+  // Undo/redo transcript edits (text being typed has the browser's own undo)
+  if (state.editing && (event.ctrlKey || event.metaKey) && !event.target.isContentEditable && event.target.tagName !== 'INPUT') {
+    const key = event.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      event.preventDefault();
+      if (key === 'y' || event.shiftKey) {
+        redoEdit();
+      } else {
+        undoEdit();
+      }
+      return;
+    }
+  }
+  
   // Ignore if typing in an input
-  if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+  if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || event.target.isContentEditable) {
     if (event.key === 'Escape') {
       event.target.blur();
     }
@@ -1262,6 +3832,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'VIDEO_METADATA_UPDATE':
       updateVideoInfo(message.data);
       break;
+      
+    case 'PLAYBACK_POSITION_UPDATE':
+      handlePlaybackPosition(message.data);
+      break;
+      
+    case 'START_TRANSCRIPTION':
+      startPendingTranscription();
+      break;
   }
   
   sendResponse({ received: true });
@@ -1275,6 +3853,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 function initEventListeners() {
   // Settings
   elements.settingsToggle.addEventListener('click', toggleSettings);
+  
+  // Library
+  elements.libraryToggle.addEventListener('click', toggleLibrary);
+  elements.libraryFilter.addEventListener('input', window.Utils.debounce(renderLibrary, 150));
+  elements.librarySort.addEventListener('change', renderLibrary);
+  elements.libraryPinnedOnly.addEventListener('change', renderLibrary);
+  elements.libraryList.addEventListener('click', handleLibraryClick);
+  elements.librarySearch.addEventListener('input', window.Utils.debounce(searchLibrary, 200));
+  elements.librarySearchResults.addEventListener('click', (e) => {
+    const hit = e.target.closest('.search-hit');
+    if (hit) {
+      openLibraryEntry(hit.dataset.videoId, parseFloat(hit.dataset.start), hit.dataset.key);
+    }
+  });
+  
+  // Batch
+  elements.batchToggle.addEventListener('click', toggleBatch);
+  elements.batchLoadBtn.addEventListener('click', loadBatch);
+  elements.batchUrl.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') loadBatch();
+  });
+  elements.batchList.addEventListener('change', handleBatchListChange);
+  elements.batchSelectAll.addEventListener('change', toggleBatchSelectAll);
+  elements.batchStartBtn.addEventListener('click', runBatch);
+  elements.batchStopBtn.addEventListener('click', stopBatch);
+  
   elements.toggleApiKeyVisibility.addEventListener('click', toggleApiKeyVisibility);
   elements.saveSettings.addEventListener('click', saveSettings);
   elements.clearCache.addEventListener('click', clearCache);
@@ -1283,16 +3887,126 @@ function initEventListeners() {
   elements.modeLocal.addEventListener('click', () => setTranscriptionMode('local'));
   elements.modeApi.addEventListener('click', () => setTranscriptionMode('api'));
   
+  // Speaker rename (capture phase, before the segment's click-to-seek)
+  elements.transcriptionText.addEventListener('click', (e) => {
+    const label = e.target.closest('.transcript-speaker');
+    if (!label) return;
+    
+    e.stopPropagation();
+    startSpeakerRename(label);
+  }, true);
+  
+  // Editing
+  elements.editBtn.addEventListener('click', toggleEditing);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveEdits();
+  });
+  elements.undoBtn.addEventListener('click', undoEdit);
+  elements.redoBtn.addEventListener('click', redoEdit);
+  elements.transcriptionText.addEventListener('focusout', (e) => {
+    if (e.target.matches('.transcript-text[contenteditable]')) commitSegmentText(e.target);
+  });
+  elements.transcriptionText.addEventListener('change', (e) => {
+    if (e.target.matches('.segment-time')) commitSegmentTime(e.target);
+  });
+  elements.transcriptionText.addEventListener('keydown', (e) => {
+    if (!e.target.matches('.transcript-text[contenteditable], .segment-time')) return;
+    
+    // Enter keeps the change; Escape puts the old value back first
+    if (e.key === 'Escape') {
+      const segment = state.transcription.segments[Number(e.target.closest('.transcript-segment').dataset.index)];
+      if (e.target.isContentEditable) {
+        e.target.textContent = segment.text.trim();
+      } else {
+        e.target.value = formatEditTime(segment[e.target.dataset.field]);
+      }
+    }
+    if (e.key === 'Enter' || e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      e.target.blur();
+    }
+  });
+  
+  // Follow along: scrolling by hand (wheel, touch, scrollbar, keys) stops auto-scroll
+  const content = elements.transcriptionContent;
+  content.addEventListener('wheel', pauseFollowing, { passive: true });
+  content.addEventListener('touchmove', pauseFollowing, { passive: true });
+  content.addEventListener('mousedown', (e) => {
+    if (e.target === content) pauseFollowing();
+  });
+  content.addEventListener('keydown', (e) => {
+    if (['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '].includes(e.key)) {
+      pauseFollowing();
+    }
+  });
+  elements.resumeFollowBtn.addEventListener('click', resumeFollowing);
+  
+  // Time range
+  elements.rangeEnabled.addEventListener('change', toggleTimeRange);
+  elements.rangeStartNow.addEventListener('click', () => setRangeFromPlayer(elements.rangeStart));
+  elements.rangeEndNow.addEventListener('click', () => setRangeFromPlayer(elements.rangeEnd));
+  
+  // Caption overlay
+  elements.captionEnabled.addEventListener('change', (e) => updateCaptionSettings({ enabled: e.target.checked }));
+  elements.captionFontSize.addEventListener('change', (e) => updateCaptionSettings({ fontSize: Number(e.target.value) }));
+  elements.captionOpacity.addEventListener('change', (e) => updateCaptionSettings({ backgroundOpacity: Number(e.target.value) / 100 }));
+  elements.captionBilingual.addEventListener('change', (e) => updateCaptionSettings({ bilingual: e.target.checked }));
+  // Picking a position puts back a caption that was dragged elsewhere
+  elements.captionPosition.addEventListener('change', (e) => updateCaptionSettings({ position: e.target.value, offset: null }));
+  
   // Provider toggle
   if (elements.providerSelect) {
     elements.providerSelect.addEventListener('change', (e) => handleProviderChange(e.target.value));
   }
   
+  // Find & replace
+  const onReplaceInput = window.Utils.debounce(() => {
+    state.replaceSource = 'find';
+    updateReplacePreview();
+  }, 200);
+  elements.replaceToggle.addEventListener('click', toggleReplacePanel);
+  [elements.replaceFind, elements.replaceWith].forEach(input => input.addEventListener('input', onReplaceInput));
+  [elements.replaceRegex, elements.replaceWholeWord, elements.replaceMatchCase].forEach(box => box.addEventListener('change', onReplaceInput));
+  elements.replaceApplyBtn.addEventListener('click', applyReplacePreview);
+  elements.saveGlossaryRuleBtn.addEventListener('click', saveGlossaryRule);
+  elements.previewGlossaryBtn.addEventListener('click', () => {
+    state.replaceSource = 'glossary';
+    updateReplacePreview();
+  });
+  elements.replacePreview.addEventListener('click', async (e) => {
+    const change = e.target.closest('.replace-change');
+    if (change && !await seekVideo(parseFloat(change.dataset.start))) {
+      showToast("Couldn't seek the video", 'warning');
+    }
+  });
+  elements.glossaryList.addEventListener('click', handleGlossaryClick);
+  
+  // Variant switcher
+  elements.variantSelect.addEventListener('change', handleVariantChange);
+  
+  // Original / translation
+  elements.translationView.addEventListener('change', (e) => {
+    state.translationView = e.target.value;
+    if (state.transcription) renderTranscriptBody(state.transcription);
+  });
+  
+  // Compare
+  elements.compareBtn.addEventListener('click', openCompare);
+  elements.closeCompareBtn.addEventListener('click', closeCompare);
+  elements.compareVariantA.addEventListener('change', runCompare);
+  elements.compareVariantB.addEventListener('change', runCompare);
+  elements.compareChangedOnly.addEventListener('change', () => {
+    if (state.compareResult) renderCompare(state.compareResult);
+  });
+  elements.compareRows.addEventListener('click', handleCompareClick);
+  
   // Search
   elements.clearSearch.addEventListener('click', clearSearch);
   
   // Transcription
   elements.transcribeBtn.addEventListener('click', startTranscription);
+  elements.cancelBtn.addEventListener('click', cancelTranscription);
   elements.audioFileInput.addEventListener('change', handleFileSelect);
   
   // Search
@@ -1337,8 +4051,14 @@ async function init() {
   // Initialize event listeners
   initEventListeners();
   
-  // Load settings
+  // Populate the provider dropdown, then load settings
+  renderProviderOptions();
+  renderTranslateOptions();
   await loadSettings();
+  await loadCaptionSettings();
+  await loadGlossary();
+  await loadProviders();
+  handleProviderChange(state.settings.provider);
   
   // Request current video info
   await requestCurrentVideo();
@@ -1346,6 +4066,9 @@ async function init() {
   // Update button state
   updateTranscribeButton();
   
+  // Opened by the watch page's Transcribe button
+  await startPendingTranscription();
+  
   debugLog('Side panel initialized');
 }
 
@@ -0,0 +1,424 @@
+/**
+ * Transcript Store for YouTube Transcriber Extension
+ *
+ * Handles:
+ * - Cached transcriptions in IndexedDB, one record per video and variant
+ *   (mode, provider, model, requested language and options such as diarization)
+ * - Least-recently-used eviction by total size, never touching pinned records
+ * - Usage totals for the settings meter
+ * - One-time migration of the old transcriptionCache object in chrome.storage.local
+ *
+ * Two object stores keep listing and eviction cheap: "entries" holds a small
+ * summary of each transcript (size, last access, title...) and "transcripts"
+ * holds the full text and segments, read only when a transcript is opened.
+ * The search index (see search-index.js) lives in the same database, in
+ * "searchTerms" and "searchDocs".
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DEBUG = true;
+
+const DB_NAME = 'spoken';
+const DB_VERSION = 1;
+
+// Summary fields copied from a transcription into its entry
+const SUMMARY_FIELDS = ['title', 'channel', 'duration', 'language', 'mode', 'provider', 'model', 'requestedLanguage', 'options', 'edited'];
+
+// =============================================================================
+// DATABASE
+// =============================================================================
+
+let dbPromise = null;
+
+/**
+ * Debug logging utility
+ * @param {...any} args - Arguments to log
+ */
+function debugLog(...args) {
+  if (DEBUG) {
+    console.log('[YT-Transcriber DB]', ...args);
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the database (once), migrating the old chrome.storage cache on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        
+        if (event.oldVersion < 1) {
+          const entries = db.createObjectStore('entries', { keyPath: 'key' });
+          entries.createIndex('videoId', 'videoId');
+          entries.createIndex('lastAccessed', 'lastAccessed');
+          
+          db.createObjectStore('transcripts', { keyPath: 'key' });
+          
+          // One record per word (term → variant key → segment indexes) and per indexed transcript
+          db.createObjectStore('searchTerms', { keyPath: 'term' });
+          db.createObjectStore('searchDocs', { keyPath: 'key' });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+      await migrateFromStorage(db);
+      return db;
+    }).catch((error) => {
+      // Let the next call try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  
+  return dbPromise;
+}
+
+/**
+ * Key of one variant of a video's transcript. Matches the server's store key,
+ * which transcripts from the server carry as storeKey.
+ * @param {string} videoId
+ * @param {Object} transcription
+ * @returns {string}
+ */
+export function getVariantKey(videoId, transcription) {
+  if (transcription.storeKey) return transcription.storeKey;
+  
+  const options = transcription.options || {};
+  const optionParts = Object.keys(options).sort()
+    .map(name => options[name] === true ? name : `${name}-${options[name]}`);
+  
+  return [videoId, transcription.mode, transcription.provider, transcription.model, transcription.requestedLanguage || 'auto', ...optionParts]
+    .map(part => String(part ?? 'unknown').replace(/[^a-zA-Z0-9_.-]/g, '-'))
+    .join('.');
+}
+
+/**
+ * Video a variant key belongs to; keys always start with the video ID
+ * @param {string} key
+ * @returns {string}
+ */
+export function getVideoIdFromKey(key) {
+  return key.split('.')[0];
+}
+
+/**
+ * Size of a transcription as stored, in bytes of JSON
+ * @param {Object} transcription
+ * @returns {number}
+ */
+function measure(transcription) {
+  return new TextEncoder().encode(JSON.stringify(transcription)).length;
+}
+
+/**
+ * Write one transcript into open stores
+ */
+function writeRecord(entries, transcripts, key, videoId, transcription, { pinned = false, timestamp = Date.now() } = {}) {
+  const entry = {
+    key,
+    videoId,
+    pinned,
+    timestamp,
+    lastAccessed: Date.now(),
+    bytes: measure(transcription)
+  };
+  
+  SUMMARY_FIELDS.forEach(field => {
+    entry[field] = transcription[field] ?? null;
+  });
+  
+  entries.put(entry);
+  transcripts.put({ key, transcription });
+  return entry;
+}
+
+/**
+ * Move the transcriptionCache object from chrome.storage.local into IndexedDB
+ * @param {IDBDatabase} db
+ */
+async function migrateFromStorage(db) {
+  const { transcriptionCache } = await chrome.storage.local.get('transcriptionCache');
+  if (!transcriptionCache) return;
+  
+  const tx = db.transaction(['entries', 'transcripts'], 'readwrite');
+  const entries = tx.objectStore('entries');
+  const transcripts = tx.objectStore('transcripts');
+  
+  Object.entries(transcriptionCache).forEach(([videoId, cached]) => {
+    const { timestamp, pinned, ...transcription } = cached;
+    const key = getVariantKey(videoId, transcription);
+    writeRecord(entries, transcripts, key, videoId, transcription, { pinned: !!pinned, timestamp: timestamp || Date.now() });
+  });
+  
+  await transactionDone(tx);
+  await chrome.storage.local.remove('transcriptionCache');
+  debugLog(`Migrated ${Object.keys(transcriptionCache).length} cached transcripts to IndexedDB`);
+}
+
+// =============================================================================
+// READING
+// =============================================================================
+
+/**
+ * Get a cached transcription, in the shape the side panel has always used:
+ * the transcription plus its cache timestamp, pinned flag and variant key
+ * @param {string} key - Variant key
+ * @param {Object} [options]
+ * @param {boolean} [options.touch=true] - Count this as a use for LRU eviction
+ * @returns {Promise<Object|null>}
+ */
+export async function getTranscript(key, { touch = true } = {}) {
+  const db = await openDb();
+  const tx = db.transaction(['entries', 'transcripts'], touch ? 'readwrite' : 'readonly');
+  const entries = tx.objectStore('entries');
+  
+  const [entry, record] = await Promise.all([
+    promisify(entries.get(key)),
+    promisify(tx.objectStore('transcripts').get(key))
+  ]);
+  
+  if (!entry || !record) return null;
+  
+  if (touch) {
+    entries.put({ ...entry, lastAccessed: Date.now() });
+    await transactionDone(tx);
+  }
+  
+  return {
+    ...record.transcription,
+    key,
+    videoId: entry.videoId,
+    pinned: entry.pinned,
+    timestamp: entry.timestamp
+  };
+}
+
+/**
+ * The variant of a video's transcript that was used last
+ * @param {string} videoId
+ * @param {Object} [options] - As for getTranscript
+ * @returns {Promise<Object|null>}
+ */
+export async function getLatestTranscript(videoId, options) {
+  const variants = await listEntries(videoId);
+  if (!variants.length) return null;
+  
+  const latest = variants.reduce((a, b) => (b.lastAccessed > a.lastAccessed ? b : a));
+  return getTranscript(latest.key, options);
+}
+
+/**
+ * @param {string} videoId
+ * @returns {Promise<boolean>}
+ */
+export async function hasTranscript(videoId) {
+  const db = await openDb();
+  const count = await promisify(db.transaction('entries').objectStore('entries').index('videoId').count(videoId));
+  return count > 0;
+}
+
+/**
+ * Summaries of cached transcripts, without their text
+ * @param {string} [videoId] - Only this video's variants
+ * @returns {Promise<Object[]>}
+ */
+export async function listEntries(videoId) {
+  const db = await openDb();
+  const entries = db.transaction('entries').objectStore('entries');
+  
+  return promisify(videoId ? entries.index('videoId').getAll(videoId) : entries.getAll());
+}
+
+/**
+ * Every cached transcription, for rebuilding the search index
+ * @returns {Promise<Object>} - Variant key → transcription
+ */
+export async function getAllTranscripts() {
+  const db = await openDb();
+  const records = await promisify(db.transaction('transcripts').objectStore('transcripts').getAll());
+  return Object.fromEntries(records.map(record => [record.key, record.transcription]));
+}
+
+/**
+ * Totals for the storage meter
+ * @returns {Promise<{bytes: number, count: number, pinnedBytes: number}>}
+ */
+export async function getUsage() {
+  const entries = await listEntries();
+  
+  return entries.reduce((usage, entry) => {
+    usage.bytes += entry.bytes;
+    usage.count += 1;
+    if (entry.pinned) usage.pinnedBytes += entry.bytes;
+    return usage;
+  }, { bytes: 0, count: 0, pinnedBytes: 0 });
+}
+
+// =============================================================================
+// WRITING
+// =============================================================================
+
+/**
+ * Cache a transcription as its variant, replacing that variant only and keeping its pin.
+ * The server's stored copy of a transcript (stored: true) doesn't replace one edited here.
+ * @param {string} videoId
+ * @param {Object} transcription
+ * @returns {Promise<{key: string, keptEdits: boolean}>}
+ */
+export async function putTranscript(videoId, transcription) {
+  const key = getVariantKey(videoId, transcription);
+  const db = await openDb();
+  const tx = db.transaction(['entries', 'transcripts'], 'readwrite');
+  const entries = tx.objectStore('entries');
+  
+  const existing = await promisify(entries.get(key));
+  if (existing?.edited && transcription.stored) {
+    return { key, keptEdits: true };
+  }
+  
+  writeRecord(entries, tx.objectStore('transcripts'), key, videoId, transcription, { pinned: !!existing?.pinned });
+  
+  await transactionDone(tx);
+  return { key, keptEdits: false };
+}
+
+/**
+ * Replace a cached transcript's content (after editing), keeping its key, pin and date
+ * @param {string} key - Variant key
+ * @param {Object} transcription
+ * @returns {Promise<boolean>} - false if it isn't cached
+ */
+export async function updateTranscript(key, transcription) {
+  const db = await openDb();
+  const tx = db.transaction(['entries', 'transcripts'], 'readwrite');
+  const entries = tx.objectStore('entries');
+  
+  const existing = await promisify(entries.get(key));
+  if (!existing) return false;
+  
+  writeRecord(entries, tx.objectStore('transcripts'), key, existing.videoId, transcription, {
+    pinned: existing.pinned,
+    timestamp: existing.timestamp
+  });
+  
+  await transactionDone(tx);
+  return true;
+}
+
+/**
+ * @param {string} key - Variant key
+ * @param {boolean} pinned
+ * @returns {Promise<boolean>} - false if it isn't cached
+ */
+export async function setPinned(key, pinned) {
+  const db = await openDb();
+  const tx = db.transaction('entries', 'readwrite');
+  const entries = tx.objectStore('entries');
+  
+  const entry = await promisify(entries.get(key));
+  if (!entry) return false;
+  
+  entries.put({ ...entry, pinned: !!pinned });
+  await transactionDone(tx);
+  return true;
+}
+
+/**
+ * Delete cached transcripts
+ * @param {string[]} keys
+ */
+async function deleteKeys(keys) {
+  if (!keys.length) return;
+  
+  const db = await openDb();
+  const tx = db.transaction(['entries', 'transcripts'], 'readwrite');
+  
+  keys.forEach(key => {
+    tx.objectStore('entries').delete(key);
+    tx.objectStore('transcripts').delete(key);
+  });
+  
+  await transactionDone(tx);
+}
+
+/**
+ * @param {string} key - Variant key
+ */
+export async function deleteTranscript(key) {
+  await deleteKeys([key]);
+}
+
+/**
+ * Delete every transcript that isn't pinned
+ * @returns {Promise<string[]>} - Deleted variant keys
+ */
+export async function clearUnpinned() {
+  const removed = (await listEntries())
+    .filter(entry => !entry.pinned)
+    .map(entry => entry.key);
+  
+  await deleteKeys(removed);
+  return removed;
+}
+
+/**
+ * Evict least recently used transcripts until the unpinned and pinned
+ * total fits the limit. Pinned transcripts are never evicted, so the total
+ * can stay above the limit if they alone exceed it.
+ * @param {number} limitBytes
+ * @returns {Promise<Array<{key: string, videoId: string}>>} - Evicted variants
+ */
+export async function evictToLimit(limitBytes) {
+  const entries = await listEntries();
+  let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  
+  const evicted = [];
+  const candidates = entries
+    .filter(entry => !entry.pinned)
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+  
+  for (const entry of candidates) {
+    if (total <= limitBytes) break;
+    
+    total -= entry.bytes;
+    evicted.push({ key: entry.key, videoId: entry.videoId });
+  }
+  
+  await deleteKeys(evicted.map(entry => entry.key));
+  return evicted;
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env python3
+"""
+pyannote speaker diarization runner for the Spoken backend
+
+Finds who speaks when in one audio file and prints the turns as JSON on stdout:
+    {"turns": [{"start", "end", "speaker"}], "speakers": N}
+
+Speakers are numbered from 0 in order of first appearance. The default model is
+gated on Hugging Face: accept its terms and set HF_TOKEN.
+
+Usage:
+    HF_TOKEN=hf_... python3 diarize_runner.py audio.wav --num-speakers 2
+"""
+
+import argparse
+import json
+import os
+import sys
+
+
+def load_pipeline(model, token):
+    from pyannote.audio import Pipeline
+
+    try:
+        return Pipeline.from_pretrained(model, token=token)
+    except TypeError:
+        # pyannote.audio < 3.3 names the argument use_auth_token
+        return Pipeline.from_pretrained(model, use_auth_token=token)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Speaker diarization with pyannote.audio")
+    parser.add_argument("audio", help="Path to a WAV file")
+    parser.add_argument("--model", default="pyannote/speaker-diarization-3.1")
+    parser.add_argument("--num-speakers", type=int, default=None, help="Exact number of speakers, if known")
+    args = parser.parse_args()
+
+    try:
+        pipeline = load_pipeline(args.model, os.environ.get("HF_TOKEN"))
+    except ImportError:
+        print("pyannote.audio is not installed. Install with: pip install pyannote.audio", file=sys.stderr)
+        sys.exit(1)
+
+    if pipeline is None:
+        print(f"Could not load {args.model}. Accept its terms on Hugging Face and set HF_TOKEN.", file=sys.stderr)
+        sys.exit(1)
+
+    diarization = pipeline(args.audio, num_speakers=args.num_speakers)
+    # pyannote.audio 4 wraps the annotation in an output object
+    annotation = getattr(diarization, "speaker_diarization", diarization)
+
+    speakers = {}
+    turns = []
+    for turn, _, label in annotation.itertracks(yield_label=True):
+        speaker = speakers.setdefault(label, len(speakers))
+        turns.append({
+            "start": round(turn.start, 3),
+            "end": round(turn.end, 3),
+            "speaker": speaker,
+        })
+
+    json.dump({"turns": turns, "speakers": len(speakers)}, sys.stdout)
+
+
+if __name__ == "__main__":
+    main()
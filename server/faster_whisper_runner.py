@@ -0,0 +1,74 @@
+#!/usr/bin/env python3
+"""
+faster-whisper runner for the Spoken backend
+
+Transcribes one audio file and prints the result as JSON on stdout:
+    {"text": ..., "language": ..., "duration": ...,
+     "segments": [{"id", "start", "end", "text", "words": [{"word", "start", "end"}]}]}
+
+Progress and errors go to stderr so they never mix with the JSON.
+
+Usage:
+    python3 faster_whisper_runner.py audio.mp3 --model base --language en --initial-prompt "Kubernetes, etcd."
+"""
+
+import argparse
+import json
+import sys
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Transcribe audio with faster-whisper")
+    parser.add_argument("audio", help="Path to the audio file")
+    parser.add_argument("--model", default="base", help="Model size or path (tiny, base, small, medium, large-v3, ...)")
+    parser.add_argument("--language", default=None, help="Language code; detected when omitted")
+    parser.add_argument("--device", default="auto", help="cpu, cuda or auto")
+    parser.add_argument("--compute-type", default="int8", help="int8, int8_float16, float16, float32")
+    parser.add_argument("--beam-size", type=int, default=5)
+    parser.add_argument("--task", default="transcribe", choices=["transcribe", "translate"], help="translate gives English text")
+    parser.add_argument("--initial-prompt", default=None, help="Text that precedes the audio, e.g. names and jargon to spell right")
+    args = parser.parse_args()
+
+    try:
+        from faster_whisper import WhisperModel
+    except ImportError:
+        print("faster-whisper is not installed. Install with: pip install faster-whisper", file=sys.stderr)
+        sys.exit(1)
+
+    model = WhisperModel(args.model, device=args.device, compute_type=args.compute_type)
+    segments_iter, info = model.transcribe(
+        args.audio,
+        language=args.language,
+        task=args.task,
+        beam_size=args.beam_size,
+        initial_prompt=args.initial_prompt,
+        vad_filter=True,
+        word_timestamps=True,
+    )
+
+    segments = []
+    for segment in segments_iter:
+        segments.append({
+            "id": len(segments),
+            "start": round(segment.start, 3),
+            "end": round(segment.end, 3),
+            "text": segment.text.strip(),
+            "words": [
+                {"word": word.word.strip(), "start": round(word.start, 3), "end": round(word.end, 3)}
+                for word in (segment.words or [])
+            ],
+        })
+        if info.duration:
+            percent = min(100, int(segment.end / info.duration * 100))
+            print(f"progress {percent}%", file=sys.stderr, flush=True)
+
+    json.dump({
+        "text": " ".join(s["text"] for s in segments),
+        "language": info.language,
+        "duration": info.duration,
+        "segments": segments,
+    }, sys.stdout)
+
+
+if __name__ == "__main__":
+    main()
@@ -16,11 +16,12 @@
 
 import express from 'express';
 import cors from 'cors';
-import { spawn, execSync } from 'child_process';
-import { createReadStream, unlink, existsSync, mkdirSync, readFileSync } from 'fs';
-import { join, basename } from 'path';
-import { tmpdir } from 'os';
-import { randomUUID } from 'crypto';
+import { spawn, spawnSync, execSync } from 'child_process';
+import { createReadStream, unlink, existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync, renameSync, statSync } from 'fs';
+import { join, basename, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { tmpdir, homedir } from 'os';
+import { randomUUID, createHash } from 'crypto';
 import FormData from 'form-data';
 import fetch from 'node-fetch';
 
@@ -30,11 +31,20 @@ import fetch from 'node-fetch';
 
 const PORT = process.env.PORT || 3456;
 const WHISPER_API_URL = 'https://api.openai.com/v1/audio/transcriptions';
+const WHISPER_TRANSLATE_URL = 'https://api.openai.com/v1/audio/translations';
 const DEEPGRAM_API_URL = 'https://api.deepgram.com/v1/listen';
 const TEMP_DIR = join(tmpdir(), 'yt-transcriber');
 const MAX_DURATION_SECONDS = 3 * 60 * 60; // 3 hours max
+const MAX_COLLECTION_ENTRIES = 500; // Most videos listed from one playlist or channel
 
+// Segments built from word timings (Deepgram) end at sentences or pauses, within these limits
+const SEGMENT_MAX_SECONDS = parseFloat(process.env.SEGMENT_MAX_SECONDS) || 15;
+const SEGMENT_MAX_CHARS = parseInt(process.env.SEGMENT_MAX_CHARS, 10) || 200;
+const SEGMENT_PAUSE_SECONDS = parseFloat(process.env.SEGMENT_PAUSE_SECONDS) || 0.8; // silence that ends a segment
 
+// Finished transcripts are stored here so the same video is never paid for twice
+const DATA_DIR = process.env.SPOKEN_DATA_DIR || join(homedir(), '.spoken');
+const STORE_DIR = join(DATA_DIR, 'transcripts');
 
 // Transcription mode: 'local' or 'api'
 // Set to 'local' to use local Whisper model (free, no API key needed)
@@ -45,11 +55,37 @@ const TRANSCRIPTION_MODE = process.env.WHISPER_MODE || 'local';
 // Smaller = faster but less accurate, Larger = slower but more accurate
 const LOCAL_WHISPER_MODEL = process.env.WHISPER_MODEL || 'base';
 
+// Local engine: 'whisper' (Python openai-whisper), 'whisper-cpp' or 'faster-whisper'
+// Requests can pick another one with the X-Provider header
+const LOCAL_ENGINE = process.env.LOCAL_ENGINE || 'whisper';
+
+// whisper.cpp: CLI binary (auto-detected when unset) and ggml model file
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || null;
+const WHISPER_CPP_MODEL = process.env.WHISPER_CPP_MODEL || join(DATA_DIR, 'models', `ggml-${LOCAL_WHISPER_MODEL}.bin`);
+
+// faster-whisper: runs through a small Python script next to this file
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python3';
+const FASTER_WHISPER_RUNNER = join(dirname(fileURLToPath(import.meta.url)), 'faster_whisper_runner.py');
+const FASTER_WHISPER_MODEL = process.env.FASTER_WHISPER_MODEL || LOCAL_WHISPER_MODEL;
+const FASTER_WHISPER_COMPUTE_TYPE = process.env.FASTER_WHISPER_COMPUTE_TYPE || 'int8'; // int8 is fastest on CPU
+
+// Speaker diarization for providers that can't do it themselves (pyannote; needs HF_TOKEN for the gated model)
+const DIARIZATION_MODEL = process.env.DIARIZATION_MODEL || 'pyannote/speaker-diarization-3.1';
+
+// Text translation for targets other than English, or providers that can't translate audio:
+// a LibreTranslate-compatible endpoint, e.g. a local `libretranslate` server
+const TRANSLATE_URL = process.env.TRANSLATE_URL || null;
+const TRANSLATE_API_KEY = process.env.TRANSLATE_API_KEY || null;
+
 // Ensure temp directory exists
 if (!existsSync(TEMP_DIR)) {
   mkdirSync(TEMP_DIR, { recursive: true });
 }
 
+if (!existsSync(STORE_DIR)) {
+  mkdirSync(STORE_DIR, { recursive: true });
+}
+
 // =============================================================================
 // EXPRESS APP SETUP
 // =============================================================================
@@ -59,8 +95,8 @@ const app = express();
 // CORS configuration - allow requests from Chrome extension
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Provider', 'X-Mode', 'Last-Event-ID']
 }));
 
 app.use(express.json());
@@ -95,17 +131,19 @@ function extractVideoId(url) {
 /**
  * Get video info using yt-dlp
  */
-function getVideoInfo(url) {
+function getVideoInfo(url, options = {}) {
+  const { signal } = options;
+  
   return new Promise((resolve, reject) => {
     const args = ['--dump-json', '--no-download', url];
-    const process = spawn('yt-dlp', args);
+    const child = spawnProcess('yt-dlp', args, signal);
     let stdout = '';
     let stderr = '';
     
-    process.stdout.on('data', (data) => stdout += data.toString());
-    process.stderr.on('data', (data) => stderr += data.toString());
+    child.stdout.on('data', (data) => stdout += data.toString());
+    child.stderr.on('data', (data) => stderr += data.toString());
     
-    process.on('close', (code) => {
+    child.on('close', (code) => {
       if (code === 0) {
         try {
           const info = JSON.parse(stdout);
@@ -115,7 +153,13 @@ function getVideoInfo(url) {
             duration: info.duration,
             channel: info.channel,
             thumbnail: info.thumbnail,
-            isLive: info.is_live || false
+            isLive: info.is_live || false,
+            language: info.language || null,
+            // Caption tracks by language key; live_chat is a chat replay, not captions
+            captions: {
+              manual: Object.keys(info.subtitles || {}).filter(key => key !== 'live_chat'),
+              automatic: Object.keys(info.automatic_captions || {})
+            }
           });
         } catch (e) {
           reject(new Error('Failed to parse video info'));
@@ -125,16 +169,130 @@ function getVideoInfo(url) {
       }
     });
     
-    process.on('error', (err) => {
+    child.on('error', (err) => {
       reject(new Error(`yt-dlp not found: ${err.message}`));
     });
   });
 }
 
+/**
+ * Playlist or channel URL that a YouTube URL belongs to, in the form yt-dlp lists best
+ * A watch page opened from a playlist (…&list=) gives that playlist; a channel gives its Videos tab.
+ */
+function getCollectionUrl(url) {
+  const playlist = url.match(/youtube\.com\/(?:playlist|watch)\?(?:.*&)?list=([a-zA-Z0-9_-]+)/);
+  if (playlist) {
+    return `https://www.youtube.com/playlist?list=${playlist[1]}`;
+  }
+  
+  const channel = url.match(/youtube\.com\/(@[^/?#]+|channel\/[a-zA-Z0-9_-]+|c\/[^/?#]+|user\/[^/?#]+)(\/(?:videos|streams|shorts))?/);
+  if (channel) {
+    return `https://www.youtube.com/${channel[1]}${channel[2] || '/videos'}`;
+  }
+  return null;
+}
+
+/**
+ * List the videos of a playlist or channel without fetching each one
+ */
+async function getCollectionEntries(url, options = {}) {
+  const { limit = MAX_COLLECTION_ENTRIES, signal } = options;
+  
+  const { stdout } = await runTool('yt-dlp', [
+    '--flat-playlist',
+    '--dump-single-json',
+    '--playlist-end', String(limit),
+    '--no-warnings',
+    url
+  ], signal);
+  
+  let info;
+  try {
+    info = JSON.parse(stdout);
+  } catch (e) {
+    throw new Error('Failed to parse playlist info');
+  }
+  
+  const channel = info.channel || info.uploader || null;
+  const entries = (info.entries || [])
+    // Private and deleted videos are still listed, but can't be downloaded
+    .filter(entry => /^[a-zA-Z0-9_-]{11}$/.test(entry.id || '') && !/^\[(Private|Deleted) video\]$/.test(entry.title))
+    .map(entry => ({
+      videoId: entry.id,
+      url: `https://www.youtube.com/watch?v=${entry.id}`,
+      title: entry.title || entry.id,
+      channel: entry.channel || entry.uploader || channel,
+      duration: entry.duration ?? null,
+      isLive: entry.live_status === 'is_live' || entry.live_status === 'is_upcoming'
+    }));
+  
+  return { title: info.title || url, channel, entries };
+}
+
+// Machine-readable yt-dlp progress: downloaded bytes, total bytes, estimated total, ETA ("NA" when unknown)
+const YTDLP_PROGRESS_TEMPLATE = 'download:[spoken] %(progress.downloaded_bytes)s %(progress.total_bytes)s %(progress.total_bytes_estimate)s %(progress.eta)s';
+
+/**
+ * Parse a number from tool output, null for "NA" and friends
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse "MM:SS" or "HH:MM:SS" into seconds
+ */
+function parseClock(value) {
+  if (!value || !/^\d+(:\d+)+$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Parse one line of yt-dlp output printed with YTDLP_PROGRESS_TEMPLATE
+ * @returns {Object|null} Download progress, or null if the line isn't a progress line
+ */
+function parseDownloadProgress(line) {
+  const match = line.match(/^\[spoken\] (\S+) (\S+) (\S+) (\S+)/);
+  if (!match) return null;
+  
+  const downloadedBytes = parseNumber(match[1]);
+  const totalBytes = parseNumber(match[2]) ?? parseNumber(match[3]);
+  
+  return {
+    phase: 'download',
+    percent: downloadedBytes !== null && totalBytes ? Math.min(100, downloadedBytes / totalBytes * 100) : null,
+    eta: parseNumber(match[4]),
+    downloadedBytes,
+    totalBytes
+  };
+}
+
+/**
+ * Call back once per line of a child process stream
+ * Tools that redraw a progress line end it with \r instead of \n, so both count as line breaks.
+ */
+function onLines(stream, callback) {
+  let buffer = '';
+  
+  stream.on('data', (data) => {
+    buffer += data.toString();
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.filter(Boolean).forEach(callback);
+  });
+  
+  stream.on('end', () => {
+    if (buffer) callback(buffer);
+  });
+}
+
 /**
  * Download audio from YouTube video using yt-dlp
  */
-function downloadAudio(url, outputPath, onProgress = () => {}) {
+function downloadAudio(url, outputPath, options = {}) {
+  const { onProgress = () => {}, signal, range = null } = options;
+  
   return new Promise((resolve, reject) => {
     const args = [
       '-x',
@@ -143,26 +301,30 @@ function downloadAudio(url, outputPath, onProgress = () => {}) {
       '--no-playlist',
       '--no-warnings',
       '--progress',
+      '--newline',
+      '--progress-template', YTDLP_PROGRESS_TEMPLATE,
+      ...(range ? ['--download-sections', `*${formatTimeRange(range)}`] : []),
       '-o', outputPath,
       url
     ];
     
-    const process = spawn('yt-dlp', args);
+    const child = spawnProcess('yt-dlp', args, signal);
     let stderr = '';
     
-    process.stdout.on('data', (data) => {
-      const output = data.toString();
-      const progressMatch = output.match(/(\d+\.?\d*)%/);
-      if (progressMatch) {
-        onProgress({ percent: parseFloat(progressMatch[1]) });
+    onLines(child.stdout, (line) => {
+      const progress = parseDownloadProgress(line);
+      if (progress) {
+        onProgress(progress);
+      } else if (line.startsWith('[ExtractAudio]')) {
+        onProgress({ phase: 'convert', percent: null });
       }
     });
     
-    process.stderr.on('data', (data) => {
+    child.stderr.on('data', (data) => {
       stderr += data.toString();
     });
     
-    process.on('close', (code) => {
+    child.on('close', (code) => {
       if (code === 0) {
         const possiblePaths = [
           outputPath,
@@ -182,7 +344,7 @@ function downloadAudio(url, outputPath, onProgress = () => {}) {
       }
     });
     
-    process.on('error', (err) => {
+    child.on('error', (err) => {
       reject(new Error(`yt-dlp not found: ${err.message}`));
     });
   });
@@ -205,7 +367,7 @@ function checkLocalWhisper() {
  */
 function transcribeLocal(audioPath, options = {}) {
   return new Promise((resolve, reject) => {
-    const { language = null, model = LOCAL_WHISPER_MODEL } = options;
+    const { language = null, model = LOCAL_WHISPER_MODEL, prompt = null, task = 'transcribe', signal, onProgress = () => {} } = options;
     const outputDir = TEMP_DIR;
     
     // Get the audio filename without extension (whisper uses this for output)
@@ -215,34 +377,44 @@ function transcribeLocal(audioPath, options = {}) {
       audioPath,
       '--model', model,
       '--output_format', 'json',
-      '--output_dir', outputDir
+      '--output_dir', outputDir,
+      '--word_timestamps', 'True',
+      '--task', task,
+      '--verbose', 'False' // only shows the tqdm progress bar when not verbose
     ];
     
     if (language && language !== 'auto') {
       args.push('--language', language);
     }
     
+    if (prompt) {
+      args.push('--initial_prompt', prompt);
+    }
+    
     console.log(`[Whisper Local] Running: whisper ${args.join(' ')}`);
     console.log(`[Whisper Local] Output will be in: ${outputDir}`);
     console.log(`[Whisper Local] Looking for: ${audioBaseName}.json`);
     
-    const process = spawn('whisper', args);
+    const child = spawnProcess('whisper', args, signal);
     let stderr = '';
     
-    process.stdout.on('data', (data) => {
+    child.stdout.on('data', (data) => {
       console.log('[Whisper]', data.toString().trim());
     });
     
-    process.stderr.on('data', (data) => {
-      const msg = data.toString();
-      stderr += msg;
-      // Whisper outputs progress to stderr
-      if (msg.includes('%|')) {
-        console.log('[Whisper Progress]', msg.trim());
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    // Whisper outputs a tqdm progress bar to stderr: " 45%|████▌     | 1234/2700 [00:10<00:12, 123.45frames/s]"
+    onLines(child.stderr, (line) => {
+      const match = line.match(/(\d+)%\|(?:.*?<([\d:]+))?/);
+      if (match) {
+        onProgress({ phase: 'transcribe', percent: parseInt(match[1], 10), eta: parseClock(match[2]) });
       }
     });
     
-    process.on('close', (code) => {
+    child.on('close', (code) => {
       if (code === 0) {
         // Whisper outputs: <output_dir>/<input_audio_basename>.json
         const jsonPath = join(outputDir, audioBaseName + '.json');
@@ -254,16 +426,8 @@ function transcribeLocal(audioPath, options = {}) {
           try {
             const result = JSON.parse(readFileSync(jsonPath, 'utf-8'));
             
-            // Clean up JSON file
-            unlink(jsonPath, () => {});
-            
-            // Also clean up other output files whisper might create
-            const srtPath = join(outputDir, audioBaseName + '.srt');
-            const txtPath = join(outputDir, audioBaseName + '.txt');
-            const vttPath = join(outputDir, audioBaseName + '.vtt');
-            unlink(srtPath, () => {});
-            unlink(txtPath, () => {});
-            unlink(vttPath, () => {});
+            // Clean up JSON file and any other output files whisper might create
+            cleanupWhisperOutputs(outputDir, audioBaseName);
             
             resolve({
               text: result.text || '',
@@ -276,7 +440,6 @@ function transcribeLocal(audioPath, options = {}) {
         } else {
           // List files in output dir for debugging
           try {
-            const { readdirSync } = require('fs');
             const files = readdirSync(outputDir);
             console.log(`[Whisper] Files in ${outputDir}:`, files.filter(f => f.includes('.json')));
           } catch (e) {
@@ -285,224 +448,2290 @@ function transcribeLocal(audioPath, options = {}) {
           reject(new Error(`Whisper output file not found at: ${jsonPath}`));
         }
       } else {
+        cleanupWhisperOutputs(outputDir, audioBaseName);
         reject(new Error(stderr || 'Whisper transcription failed'));
       }
     });
     
-    process.on('error', (err) => {
+    child.on('error', (err) => {
       reject(new Error(`Whisper not found. Install with: pip install openai-whisper\n${err.message}`));
     });
   });
 }
 
+// =============================================================================
+// ALTERNATIVE LOCAL ENGINES (whisper.cpp, faster-whisper)
+// =============================================================================
+
+// How long a local engine availability check is trusted before re-running it
+const ENGINE_CHECK_TTL_MS = 60 * 1000;
+const engineChecks = new Map();
+
 /**
- * Transcribe audio using OpenAI Whisper API
+ * Run an engine availability check, caching the result for a minute
+ * (/providers is hit every time the side panel opens, and importing faster-whisper is slow)
  */
-async function transcribeAPI(audioPath, apiKey, options = {}) {
-  const { language = null } = options;
-  
-  const formData = new FormData();
-  formData.append('file', createReadStream(audioPath), {
-    filename: basename(audioPath),
-    contentType: 'audio/mpeg'
-  });
-  formData.append('model', 'whisper-1');
-  formData.append('response_format', 'verbose_json');
-  formData.append('temperature', '0');
-  
-  if (language && language !== 'auto') {
-    formData.append('language', language);
+function cachedEngineCheck(name, check) {
+  const cached = engineChecks.get(name);
+  if (cached && Date.now() - cached.checkedAt < ENGINE_CHECK_TTL_MS) {
+    return cached.value;
   }
   
-  const response = await fetch(WHISPER_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      ...formData.getHeaders()
-    },
-    body: formData
+  const value = check();
+  engineChecks.set(name, { value, checkedAt: Date.now() });
+  return value;
+}
+
+/**
+ * Find the whisper.cpp CLI: WHISPER_CPP_BIN, else `whisper-cli` (current builds) or `main` (older builds)
+ * @returns {string|null}
+ */
+function findWhisperCppBinary() {
+  return cachedEngineCheck('whisper-cpp-bin', () => {
+    const candidates = WHISPER_CPP_BIN ? [WHISPER_CPP_BIN] : ['whisper-cli', 'main'];
+    
+    for (const candidate of candidates) {
+      const result = spawnSync(candidate, ['--help'], { encoding: 'utf-8' });
+      // `main` is a common name, so make sure this is actually whisper.cpp
+      if (!result.error && `${result.stdout}${result.stderr}`.includes('ggml')) {
+        return candidate;
+      }
+    }
+    
+    return null;
   });
-  
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.error?.message || `Whisper API error: ${response.status}`);
-  }
-  
-  return await response.json();
 }
 
-// Languages supported by Deepgram Nova-2 model
-// For languages not in this list, we fall back to Deepgram's Whisper model
-const DEEPGRAM_NOVA2_LANGUAGES = new Set([
-  'en', 'en-US', 'en-GB', 'en-AU', 'en-NZ', 'en-IN', // English variants
-  'es', 'es-419', 'es-ES', // Spanish
-  'fr', 'fr-CA', // French
-  'de', // German
-  'it', // Italian
-  'pt', 'pt-BR', 'pt-PT', // Portuguese
-  'nl', // Dutch
-  'hi', // Hindi
-  'ja', // Japanese
-  'zh', 'zh-CN', 'zh-TW', // Chinese
-  'ko', // Korean
-  'pl', // Polish
-  'ru', // Russian
-  'tr', // Turkish
-  'uk', // Ukrainian
-  'sv', // Swedish
-  'da', // Danish
-  'no', // Norwegian
-  'fi', // Finnish
-  'id', // Indonesian
-  'ms', // Malay
-  'th', // Thai
-  'vi', // Vietnamese
-  'ta', // Tamil
-  'te', // Telugu
-  'cs', // Czech
-  'el', // Greek
-  'ro', // Romanian
-  'bg', // Bulgarian
-  'hu', // Hungarian
-  'sk', // Slovak
-  'hr', // Croatian
-  'ca', // Catalan
-  'taq' // Tamasheq
-]);
+/**
+ * Check if whisper.cpp and its model file are installed
+ */
+function checkWhisperCpp() {
+  return Boolean(findWhisperCppBinary()) && existsSync(WHISPER_CPP_MODEL);
+}
 
 /**
- * Transcribe audio using Deepgram API
+ * Check if faster-whisper is importable by the configured Python
  */
-async function transcribeDeepgram(audioPath, apiKey, options = {}) {
-  const { language } = options;
-  
-  const fileStream = createReadStream(audioPath);
-  const fileBuffer = readFileSync(audioPath);
-  
-  // Determine which model to use based on language support
-  // Nova-2 is faster and cheaper but doesn't support all languages
-  // Whisper supports 90+ languages including Urdu, Arabic, etc.
-  const useWhisper = language && language !== 'auto' && !DEEPGRAM_NOVA2_LANGUAGES.has(language);
-  const model = useWhisper ? 'whisper-large' : 'nova-2';
-  
-  let url = `${DEEPGRAM_API_URL}?model=${model}&smart_format=true&diarize=false`;
-  if (language && language !== 'auto') {
-    url += `&language=${language}`;
-  }
+function checkFasterWhisper() {
+  return cachedEngineCheck('faster-whisper', () => {
+    const result = spawnSync(PYTHON_BIN, ['-c', 'import faster_whisper'], { stdio: 'pipe' });
+    return !result.error && result.status === 0;
+  });
+}
+
+/**
+ * Convert audio to the 16 kHz mono WAV that whisper.cpp and pyannote expect
+ */
+function convertToWav(audioPath, wavPath, signal) {
+  return runTool('ffmpeg', [
+    '-hide_banner', '-y',
+    '-i', audioPath,
+    '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+    wavPath
+  ], signal);
+}
+
+/**
+ * Join whisper.cpp's sub-word tokens into timed words
+ * A token starting with a space begins a new word; special tokens ([_BEG_], [_TT_150]) are skipped.
+ */
+function whisperCppTokensToWords(tokens) {
+  const words = [];
   
-  if (useWhisper) {
-    console.log(`[Deepgram] Language '${language}' not supported by Nova-2, using Whisper model`);
+  for (const token of tokens) {
+    if (!token.text || token.text.startsWith('[_')) continue;
+    
+    const start = token.offsets.from / 1000;
+    const end = token.offsets.to / 1000;
+    const last = words[words.length - 1];
+    
+    if (last && !token.text.startsWith(' ')) {
+      last.word += token.text;
+      last.end = end;
+    } else {
+      words.push({ word: token.text.trim(), start, end });
+    }
   }
   
-  console.log(`[Deepgram] Requesting: ${url}`);
-  
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Token ${apiKey}`,
-      'Content-Type': 'audio/mpeg' // assuming mp3 from yt-dlp
-    },
-    body: fileBuffer
-  });
+  return words.filter(word => word.word);
+}
+
+/**
+ * Transcribe audio using whisper.cpp
+ */
+async function transcribeWhisperCpp(audioPath, options = {}) {
+  const { language = null, prompt = null, task = 'transcribe', signal, onProgress = () => {} } = options;
   
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.err_msg || error.reason || `Deepgram API error: ${response.status}`);
+  const binary = findWhisperCppBinary();
+  if (!binary) {
+    throw new Error('whisper.cpp not found. Build it and put whisper-cli in PATH, or set WHISPER_CPP_BIN');
   }
   
-  const result = await response.json();
-  
-  // Transform Deepgram result to match Whisper format expected by frontend
-  const alternative = result.results?.channels[0]?.alternatives[0];
-  if (!alternative) return { text: '', language: 'unknown', segments: [] };
+  if (!existsSync(WHISPER_CPP_MODEL)) {
+    throw new Error(`whisper.cpp model not found at ${WHISPER_CPP_MODEL}. Download it or set WHISPER_CPP_MODEL`);
+  }
   
-  // Create fixed 5-second segments
-  let segments = [];
-  const words = alternative.words || [];
-  const SEGMENT_DURATION = 5.0;
+  const audioBase = audioPath.replace(/\.[^/.]+$/, '');
+  const wavPath = `${audioBase}.wav`;
   
-  if (words.length > 0) {
-    let currentSegment = {
-      start: 0,
-      end: SEGMENT_DURATION,
-      text: ''
-    };
+  try {
+    // whisper.cpp only reads 16 kHz mono WAV
+    onProgress({ phase: 'convert', percent: null });
+    await convertToWav(audioPath, wavPath, signal);
     
-    words.forEach(word => {
-      const wordStart = word.start;
-      const content = word.punctuated_word || word.word;
-      
-      // Check if word belongs to a new segment
-      if (wordStart >= currentSegment.end) {
-        // Push previous segment if valid
-        if (currentSegment.text) segments.push(currentSegment);
-        
-        // Calculate new segment slot directly
-        const slotIndex = Math.floor(wordStart / SEGMENT_DURATION);
-        const newStart = slotIndex * SEGMENT_DURATION;
-        currentSegment = {
-          start: newStart,
-          end: newStart + SEGMENT_DURATION,
-          text: ''
-        };
+    const args = [
+      '-m', WHISPER_CPP_MODEL,
+      '-f', wavPath,
+      '-l', language && language !== 'auto' ? language : 'auto',
+      '-ojf', // full JSON, with per-token timings for word timestamps
+      '-of', audioBase,
+      '-pp' // "whisper_print_progress_callback: progress =  45%" on stderr
+    ];
+    
+    if (prompt) {
+      args.push('--prompt', prompt);
+    }
+    
+    if (task === 'translate') {
+      args.push('-tr');
+    }
+    
+    console.log(`[whisper.cpp] Running: ${binary} ${args.join(' ')}`);
+    await runTool(binary, args, signal, {
+      onStderrLine: (line) => {
+        const match = line.match(/progress\s*=\s*(\d+)%/);
+        if (match) onProgress({ phase: 'transcribe', percent: parseInt(match[1], 10) });
       }
-      
-      currentSegment.text = currentSegment.text ? `${currentSegment.text} ${content}` : content;
     });
     
-    // Add final segment
-    if (currentSegment.text) segments.push(currentSegment);
-  } else {
-    // Fallback
-    segments = [{
-      start: 0,
-      end: 0,
-      text: alternative.transcript
-    }];
+    const result = JSON.parse(readFileSync(`${audioBase}.json`, 'utf-8'));
+    const segments = (result.transcription || []).map(item => ({
+      start: item.offsets.from / 1000,
+      end: item.offsets.to / 1000,
+      text: item.text,
+      words: whisperCppTokensToWords(item.tokens || [])
+    }));
+    
+    return {
+      text: segments.map(s => s.text.trim()).join(' '),
+      language: result.result?.language || 'unknown',
+      segments
+    };
+  } finally {
+    cleanup(wavPath);
+    cleanup(`${audioBase}.json`);
   }
-  
-  return {
-    text: alternative.transcript,
-    language: 'detected', // Deepgram doesn't always return language code in same format
-    segments: segments
-  };
 }
 
 /**
- * Clean up temporary file
+ * Transcribe audio using faster-whisper through faster_whisper_runner.py
  */
-function cleanup(filePath) {
-  if (filePath && existsSync(filePath)) {
-    unlink(filePath, (err) => {
-      if (err) console.error('Failed to cleanup:', err);
+function transcribeFasterWhisper(audioPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const { language = null, prompt = null, task = 'transcribe', signal, onProgress = () => {} } = options;
+    
+    const args = [
+      FASTER_WHISPER_RUNNER,
+      audioPath,
+      '--model', FASTER_WHISPER_MODEL,
+      '--compute-type', FASTER_WHISPER_COMPUTE_TYPE,
+      '--task', task
+    ];
+    
+    if (language && language !== 'auto') {
+      args.push('--language', language);
+    }
+    
+    if (prompt) {
+      args.push('--initial-prompt', prompt);
+    }
+    
+    console.log(`[faster-whisper] Running: ${PYTHON_BIN} ${args.join(' ')}`);
+    
+    const child = spawnProcess(PYTHON_BIN, args, signal);
+    let stdout = '';
+    let stderr = '';
+    
+    child.stdout.on('data', (data) => stdout += data.toString());
+    
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
     });
-  }
+    
+    onLines(child.stderr, (line) => {
+      const match = line.match(/^progress (\d+)%/);
+      if (match) {
+        onProgress({ phase: 'transcribe', percent: parseInt(match[1], 10) });
+      } else {
+        console.log('[faster-whisper]', line);
+      }
+    });
+    
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(stderr.trim().split('\n').pop() || 'faster-whisper transcription failed'));
+        return;
+      }
+      
+      try {
+        resolve(JSON.parse(stdout));
+      } catch (e) {
+        reject(new Error('Failed to parse faster-whisper output: ' + e.message));
+      }
+    });
+    
+    child.on('error', (err) => {
+      reject(new Error(`Python not found (${PYTHON_BIN}). Install faster-whisper with: pip install faster-whisper\n${err.message}`));
+    });
+  });
 }
 
 // =============================================================================
-// API ROUTES
+// SPEAKER DIARIZATION (local, for providers without native diarization)
 // =============================================================================
 
+const DIARIZATION_RUNNER = join(dirname(fileURLToPath(import.meta.url)), 'diarize_runner.py');
+
 /**
- * Health check endpoint
+ * Check if pyannote.audio is importable by the configured Python
  */
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    service: 'yt-transcription-server',
-    version: '1.1.0',
-    mode: TRANSCRIPTION_MODE,
-    model: TRANSCRIPTION_MODE === 'local' ? LOCAL_WHISPER_MODEL : 'whisper-1'
+function checkPyannote() {
+  return cachedEngineCheck('pyannote', () => {
+    const result = spawnSync(PYTHON_BIN, ['-c', 'import pyannote.audio'], { stdio: 'pipe' });
+    return !result.error && result.status === 0;
   });
-});
+}
 
 /**
- * Check dependencies
+ * Find who speaks when using pyannote through diarize_runner.py
+ * @returns {Promise<Array<{start: number, end: number, speaker: number}>>} Speaker turns
  */
-app.get('/check-deps', async (req, res) => {
-  const ytdlpInstalled = (() => {
-    try {
-      execSync('yt-dlp --version', { stdio: 'pipe' });
+async function diarizeAudio(audioPath, options = {}) {
+  const { signal, onProgress = () => {} } = options;
+  const wavPath = audioPath.replace(/\.[^/.]+$/, '') + '-diarize.wav';
+  
+  try {
+    onProgress({ phase: 'convert', percent: null });
+    await convertToWav(audioPath, wavPath, signal);
+    
+    onProgress({ phase: 'diarize', percent: null });
+    const { stdout } = await runTool(PYTHON_BIN, [DIARIZATION_RUNNER, wavPath, '--model', DIARIZATION_MODEL], signal);
+    
+    return JSON.parse(stdout).turns;
+  } finally {
+    cleanup(wavPath);
+  }
+}
+
+/**
+ * Give each segment the speaker who talks most during it
+ * Segments that no turn overlaps get the nearest turn's speaker.
+ */
+function assignSpeakers(segments, turns) {
+  if (!turns.length) return segments;
+  
+  return segments.map(segment => {
+    const overlap = new Map();
+    
+    for (const turn of turns) {
+      const shared = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (shared > 0) overlap.set(turn.speaker, (overlap.get(turn.speaker) || 0) + shared);
+    }
+    
+    let speaker;
+    if (overlap.size) {
+      speaker = [...overlap.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    } else {
+      const distance = (turn) => Math.min(Math.abs(turn.start - segment.end), Math.abs(turn.end - segment.start));
+      speaker = turns.reduce((nearest, turn) => distance(turn) < distance(nearest) ? turn : nearest).speaker;
+    }
+    
+    return { ...segment, speaker };
+  });
+}
+
+/**
+ * Transcribe audio using OpenAI Whisper API
+ * With task 'translate' the translations endpoint is used instead: English text, segment timings only.
+ */
+async function transcribeAPI(audioPath, apiKey, options = {}) {
+  const { language = null, prompt = null, task = 'transcribe', signal } = options;
+  const translate = task === 'translate';
+  
+  const formData = new FormData();
+  formData.append('file', createReadStream(audioPath), {
+    filename: basename(audioPath),
+    contentType: 'audio/mpeg'
+  });
+  formData.append('model', 'whisper-1');
+  formData.append('response_format', 'verbose_json');
+  if (!translate) {
+    formData.append('timestamp_granularities[]', 'segment');
+    formData.append('timestamp_granularities[]', 'word');
+  }
+  formData.append('temperature', '0');
+  
+  if (language && language !== 'auto' && !translate) {
+    formData.append('language', language);
+  }
+  
+  if (prompt) {
+    formData.append('prompt', prompt);
+  }
+  
+  const response = await fetch(translate ? WHISPER_TRANSLATE_URL : WHISPER_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      ...formData.getHeaders()
+    },
+    body: formData,
+    signal
+  });
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error?.message || `Whisper API error: ${response.status}`);
+  }
+  
+  // Words come back as one list for the whole file
+  const result = await response.json();
+  return { ...result, segments: attachWordsToSegments(result.segments || [], result.words || []) };
+}
+
+/**
+ * Give each segment the words that fall inside it
+ * @param {Array} segments - Segments sorted by start time
+ * @param {Array<{word, start, end}>} words - Words sorted by start time
+ * @returns {Array} - Segments with a `words` array
+ */
+function attachWordsToSegments(segments, words) {
+  if (!words.length) return segments;
+  
+  const result = segments.map(segment => ({ ...segment, words: [] }));
+  let index = 0;
+  
+  for (const word of words) {
+    const middle = (word.start + word.end) / 2;
+    // Move on while the word belongs after the current segment
+    while (index < result.length - 1 && middle >= result[index + 1].start) index++;
+    result[index]?.words.push({ word: word.word, start: word.start, end: word.end });
+  }
+  
+  return result;
+}
+
+// =============================================================================
+// CHUNKED TRANSCRIPTION (OpenAI 25 MB upload limit)
+// =============================================================================
+
+// OpenAI rejects uploads over 25 MB; stay safely under it
+const OPENAI_MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+const CHUNK_TARGET_SECONDS = 10 * 60; // ~9.4 MB at 128K
+const CHUNK_OVERLAP_SECONDS = 3; // audio shared by neighbouring chunks so no word is cut in half
+const CHUNK_SILENCE_SEARCH_SECONDS = 60; // how far before the target length to look for a pause
+const CHUNK_CONCURRENCY = 2;
+
+/**
+ * Run an external tool (ffmpeg, ffprobe, whisper.cpp) and collect its output
+ */
+function runTool(command, args, signal, options = {}) {
+  const { onStderrLine } = options;
+  
+  return new Promise((resolve, reject) => {
+    const child = spawnProcess(command, args, signal);
+    let stdout = '';
+    let stderr = '';
+    
+    child.stdout.on('data', (data) => stdout += data.toString());
+    child.stderr.on('data', (data) => stderr += data.toString());
+    if (onStderrLine) onLines(child.stderr, onStderrLine);
+    
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `${command} failed`));
+      }
+    });
+    
+    child.on('error', (err) => {
+      reject(new Error(`${command} not found: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Get audio duration in seconds using ffprobe
+ */
+async function getAudioDuration(audioPath, signal) {
+  const { stdout } = await runTool('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    audioPath
+  ], signal);
+  
+  return parseFloat(stdout.trim()) || 0;
+}
+
+/**
+ * Find pauses in the audio using ffmpeg's silencedetect filter
+ * @returns {Promise<Array<{start: number, end: number}>>}
+ */
+async function detectSilences(audioPath, signal) {
+  const { stderr } = await runTool('ffmpeg', [
+    '-hide_banner',
+    '-i', audioPath,
+    '-af', 'silencedetect=noise=-35dB:d=0.4',
+    '-f', 'null',
+    '-'
+  ], signal);
+  
+  const silences = [];
+  let start = null;
+  
+  for (const line of stderr.split('\n')) {
+    const startMatch = line.match(/silence_start: (-?\d+\.?\d*)/);
+    const endMatch = line.match(/silence_end: (\d+\.?\d*)/);
+    
+    if (startMatch) start = Math.max(0, parseFloat(startMatch[1]));
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+  
+  return silences;
+}
+
+/**
+ * Split the timeline into chunks, cutting in the middle of a pause near each target length
+ * @returns {Array<{index: number, start: number, end: number}>} - Nominal (non-overlapping) chunk ranges
+ */
+function planChunks(duration, silences) {
+  const chunks = [];
+  let cursor = 0;
+  
+  while (duration - cursor > CHUNK_TARGET_SECONDS) {
+    const target = cursor + CHUNK_TARGET_SECONDS;
+    
+    // Latest pause that ends up to CHUNK_SILENCE_SEARCH_SECONDS before the target
+    const pause = silences
+      .filter(s => (s.start + s.end) / 2 > target - CHUNK_SILENCE_SEARCH_SECONDS && (s.start + s.end) / 2 <= target)
+      .pop();
+    
+    const boundary = pause ? (pause.start + pause.end) / 2 : target;
+    chunks.push({ index: chunks.length, start: cursor, end: boundary });
+    cursor = boundary;
+  }
+  
+  chunks.push({ index: chunks.length, start: cursor, end: duration });
+  return chunks;
+}
+
+/**
+ * Cut a section of the audio into its own file
+ */
+async function extractAudioChunk(audioPath, start, length, outputPath, signal) {
+  await runTool('ffmpeg', [
+    '-hide_banner',
+    '-y',
+    '-ss', start.toFixed(3),
+    '-t', length.toFixed(3),
+    '-i', audioPath,
+    '-c', 'copy',
+    outputPath
+  ], signal);
+  
+  return outputPath;
+}
+
+/**
+ * Normalize a word for overlap comparison
+ */
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Drop the leading words of `text` that repeat the trailing words of `previousText`
+ */
+function removeOverlappingWords(previousText, text) {
+  const previousWords = previousText.trim().split(/\s+/).map(normalizeWord);
+  const words = text.trim().split(/\s+/);
+  const normalized = words.map(normalizeWord);
+  const maxOverlap = Math.min(20, previousWords.length, words.length);
+  
+  for (let size = maxOverlap; size > 0; size--) {
+    const tail = previousWords.slice(-size).join(' ');
+    const head = normalized.slice(0, size).join(' ');
+    if (tail === head) {
+      return ' ' + words.slice(size).join(' ');
+    }
+  }
+  
+  return text;
+}
+
+/**
+ * Join per-chunk transcripts into one, shifting timestamps onto the full timeline
+ * Segments starting in a chunk's trailing overlap are left to the next chunk,
+ * and words repeated across the boundary are removed.
+ */
+function stitchChunkTranscripts(chunkResults) {
+  const segments = [];
+  
+  chunkResults.forEach(({ chunk, result }, i) => {
+    const isLast = i === chunkResults.length - 1;
+    
+    for (const segment of result.segments || []) {
+      const start = segment.start + chunk.start;
+      const end = segment.end + chunk.start;
+      
+      if (!isLast && start >= chunk.end) continue;
+      
+      const previous = segments[segments.length - 1];
+      let text = segment.text;
+      
+      if (previous && start < previous.end) {
+        text = removeOverlappingWords(previous.text, text);
+        if (!text.trim()) continue;
+      }
+      
+      const segmentStart = previous ? Math.max(start, previous.end) : start;
+      const words = segment.words
+        ?.map(word => ({ ...word, start: word.start + chunk.start, end: word.end + chunk.start }))
+        .filter(word => !previous || text === segment.text || word.start >= segmentStart);
+      
+      segments.push({
+        ...segment,
+        id: segments.length,
+        start: segmentStart,
+        end,
+        text,
+        ...(words && { words })
+      });
+    }
+  });
+  
+  return {
+    text: segments.map(s => s.text).join('').trim(),
+    language: chunkResults[0]?.result.language || 'unknown',
+    duration: chunkResults[chunkResults.length - 1]?.chunk.end || 0,
+    segments
+  };
+}
+
+/**
+ * Transcribe audio larger than the OpenAI upload limit by splitting it into chunks
+ * @param {Function} [options.onChunkProgress] - Called with ({ completed, total }) as chunks finish
+ */
+async function transcribeAPIChunked(audioPath, apiKey, options = {}) {
+  const { signal, onChunkProgress = () => {} } = options;
+  
+  const duration = await getAudioDuration(audioPath, signal);
+  const silences = await detectSilences(audioPath, signal);
+  const chunks = planChunks(duration, silences);
+  
+  console.log(`[Chunked] ${duration.toFixed(0)}s of audio split into ${chunks.length} chunks (${silences.length} pauses found)`);
+  onChunkProgress({ completed: 0, total: chunks.length });
+  
+  const basePath = audioPath.replace(/\.[^/.]+$/, '');
+  const chunkResults = new Array(chunks.length);
+  let nextChunk = 0;
+  let completed = 0;
+  
+  // The first failed chunk fails the whole transcript, so it stops the other workers
+  // instead of letting them extract and upload (and pay for) the rest
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let failed = false;
+  if (signal?.aborted) {
+    abort();
+  } else {
+    signal?.addEventListener('abort', abort, { once: true });
+  }
+  
+  const worker = async () => {
+    while (!failed && nextChunk < chunks.length) {
+      const chunk = chunks[nextChunk++];
+      const length = Math.min(chunk.end + CHUNK_OVERLAP_SECONDS, duration) - chunk.start;
+      const chunkPath = `${basePath}-chunk${chunk.index}.mp3`;
+      
+      try {
+        await extractAudioChunk(audioPath, chunk.start, length, chunkPath, controller.signal);
+        const result = await transcribeAPI(chunkPath, apiKey, { ...options, signal: controller.signal });
+        chunkResults[chunk.index] = { chunk, result };
+      } catch (error) {
+        failed = true;
+        abort();
+        throw error;
+      } finally {
+        cleanup(chunkPath);
+      }
+      
+      completed++;
+      console.log(`[Chunked] Chunk ${chunk.index + 1}/${chunks.length} done`);
+      onChunkProgress({ completed, total: chunks.length });
+    }
+  };
+  
+  try {
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker));
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+  
+  return stitchChunkTranscripts(chunkResults);
+}
+
+/**
+ * Transcribe (or translate) with the OpenAI API, in chunks when the audio is over the upload limit
+ */
+async function transcribeOpenAI(audioPath, { apiKey, language, prompt, task = 'transcribe', signal, onProgress = () => {} }) {
+  if (statSync(audioPath).size <= OPENAI_MAX_UPLOAD_BYTES) {
+    return transcribeAPI(audioPath, apiKey, { language, prompt, task, signal });
+  }
+  
+  const phase = task === 'translate' ? 'translate' : 'transcribe';
+  
+  onProgress({ phase: 'convert', percent: null, message: 'Audio exceeds 25 MB, splitting into chunks...' });
+  return transcribeAPIChunked(audioPath, apiKey, {
+    language,
+    prompt,
+    task,
+    signal,
+    onChunkProgress: ({ completed, total }) => {
+      onProgress({
+        phase,
+        percent: completed / total * 100,
+        message: `${phase === 'translate' ? 'Translated' : 'Transcribed'} ${completed} of ${total} chunks...`,
+        chunks: { completed, total }
+      });
+    }
+  });
+}
+
+// =============================================================================
+// WORD-LEVEL SEGMENTATION
+// =============================================================================
+
+/**
+ * Check if a word ends a sentence ("done." / "right?" / "(yes!)")
+ */
+function endsSentence(word) {
+  return /[.?!…]["'”’)\]]*$/.test(word.word);
+}
+
+/**
+ * Group timed words into readable segments
+ * A segment ends at a sentence boundary, a pause or a speaker change, and is split before it grows
+ * past SEGMENT_MAX_SECONDS / SEGMENT_MAX_CHARS (at the last comma if there is one).
+ * 
+ * @param {Array<{word: string, start: number, end: number, speaker?: number}>} words
+ * @param {Object} options
+ * @param {Set<number>} [options.sentenceEnds] - End times of sentences, when the provider reports them
+ * @param {boolean} [options.diarize] - Split on speaker changes and label segments
+ * @returns {Array<{start, end, text, words, speaker?}>}
+ */
+function buildSegmentsFromWords(words, options = {}) {
+  const {
+    sentenceEnds = null,
+    diarize = false,
+    maxSeconds = SEGMENT_MAX_SECONDS,
+    maxChars = SEGMENT_MAX_CHARS,
+    pauseSeconds = SEGMENT_PAUSE_SECONDS
+  } = options;
+  
+  const isSentenceEnd = (word) => sentenceEnds?.has(word.end) || endsSentence(word);
+  const segments = [];
+  let current = [];
+  let currentLength = 0;
+  
+  const flush = (count = current.length) => {
+    const taken = current.slice(0, count);
+    current = current.slice(count);
+    currentLength = current.reduce((length, w) => length + w.word.length + 1, 0);
+    if (!taken.length) return;
+    
+    segments.push({
+      start: taken[0].start,
+      end: taken[taken.length - 1].end,
+      text: taken.map(w => w.word).join(' '),
+      words: taken,
+      ...(diarize && Number.isInteger(taken[0].speaker) && { speaker: taken[0].speaker })
+    });
+  };
+  
+  for (const word of words) {
+    const previous = current[current.length - 1];
+    
+    if (previous) {
+      const speakerChanged = diarize && word.speaker !== previous.speaker;
+      const paused = word.start - previous.end >= pauseSeconds;
+      
+      if (speakerChanged || paused || isSentenceEnd(previous)) {
+        flush();
+      } else if (word.end - current[0].start > maxSeconds || currentLength + word.word.length > maxChars) {
+        // Too long: break after the last clause in the segment, or right here if there is none
+        const clauseEnd = current.findLastIndex(w => /[,;:]$/.test(w.word));
+        flush(clauseEnd >= 0 ? clauseEnd + 1 : current.length);
+      }
+    }
+    
+    current.push(word);
+    currentLength += word.word.length + 1;
+  }
+  
+  flush();
+  return segments;
+}
+
+// Languages supported by Deepgram Nova-2 model
+// For languages not in this list, we fall back to Deepgram's Whisper model
+const DEEPGRAM_NOVA2_LANGUAGES = new Set([
+  'en', 'en-US', 'en-GB', 'en-AU', 'en-NZ', 'en-IN', // English variants
+  'es', 'es-419', 'es-ES', // Spanish
+  'fr', 'fr-CA', // French
+  'de', // German
+  'it', // Italian
+  'pt', 'pt-BR', 'pt-PT', // Portuguese
+  'nl', // Dutch
+  'hi', // Hindi
+  'ja', // Japanese
+  'zh', 'zh-CN', 'zh-TW', // Chinese
+  'ko', // Korean
+  'pl', // Polish
+  'ru', // Russian
+  'tr', // Turkish
+  'uk', // Ukrainian
+  'sv', // Swedish
+  'da', // Danish
+  'no', // Norwegian
+  'fi', // Finnish
+  'id', // Indonesian
+  'ms', // Malay
+  'th', // Thai
+  'vi', // Vietnamese
+  'ta', // Tamil
+  'te', // Telugu
+  'cs', // Czech
+  'el', // Greek
+  'ro', // Romanian
+  'bg', // Bulgarian
+  'hu', // Hungarian
+  'sk', // Slovak
+  'hr', // Croatian
+  'ca', // Catalan
+  'taq' // Tamasheq
+]);
+
+/**
+ * Determine which Deepgram model to use based on language support
+ * Nova-2 is faster and cheaper but doesn't support all languages
+ * Whisper supports 90+ languages including Urdu, Arabic, etc.
+ */
+function getDeepgramModel(language) {
+  const useWhisper = language && language !== 'auto' && !DEEPGRAM_NOVA2_LANGUAGES.has(language);
+  return useWhisper ? 'whisper-large' : 'nova-2';
+}
+
+/**
+ * Transcribe audio using Deepgram API
+ */
+async function transcribeDeepgram(audioPath, apiKey, options = {}) {
+  const { language, keywords = [], signal, diarize = false } = options;
+  
+  const fileBuffer = readFileSync(audioPath);
+  
+  const model = getDeepgramModel(language);
+  const useWhisper = model === 'whisper-large';
+  
+  let url = `${DEEPGRAM_API_URL}?model=${model}&smart_format=true&paragraphs=true&diarize=${diarize}`;
+  if (language && language !== 'auto') {
+    url += `&language=${language}`;
+  } else {
+    url += '&detect_language=true';
+  }
+  
+  if (useWhisper) {
+    console.log(`[Deepgram] Language '${language}' not supported by Nova-2, using Whisper model`);
+  }
+  
+  // Keyword boosting is a Nova feature; Deepgram's Whisper ignores it
+  if (keywords.length && !useWhisper) {
+    url += keywords.map(keyword => `&keywords=${encodeURIComponent(keyword)}`).join('');
+  }
+  
+  console.log(`[Deepgram] Requesting: ${url}`);
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Token ${apiKey}`,
+      'Content-Type': 'audio/mpeg' // assuming mp3 from yt-dlp
+    },
+    body: fileBuffer,
+    signal
+  });
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.err_msg || error.reason || `Deepgram API error: ${response.status}`);
+  }
+  
+  const result = await response.json();
+  
+  // Transform Deepgram result to match Whisper format expected by frontend
+  const channel = result.results?.channels[0];
+  const alternative = channel?.alternatives[0];
+  if (!alternative) return { text: '', language: 'unknown', segments: [] };
+  
+  const words = (alternative.words || []).map(word => ({
+    word: word.punctuated_word || word.word,
+    start: word.start,
+    end: word.end,
+    ...(Number.isInteger(word.speaker) && { speaker: word.speaker })
+  }));
+  
+  // Paragraphs are split into sentences; punctuation covers anything they miss
+  const sentences = (alternative.paragraphs?.paragraphs || []).flatMap(paragraph => paragraph.sentences || []);
+  const sentenceEnds = sentences.length ? new Set(sentences.map(sentence => sentence.end)) : null;
+  
+  const segments = words.length
+    ? buildSegmentsFromWords(words, { sentenceEnds, diarize })
+    : [{ start: 0, end: 0, text: alternative.transcript }];
+  
+  return {
+    text: alternative.transcript,
+    language: channel.detected_language || language || 'unknown',
+    duration: result.metadata?.duration,
+    segments: segments
+  };
+}
+
+/**
+ * Clean up temporary file
+ */
+function cleanup(filePath) {
+  if (filePath && existsSync(filePath)) {
+    unlink(filePath, (err) => {
+      if (err) console.error('Failed to cleanup:', err);
+    });
+  }
+}
+
+/**
+ * Remove every temp file belonging to a download (partial downloads, intermediate formats, the MP3)
+ */
+function cleanupTempFiles(tempId) {
+  try {
+    readdirSync(TEMP_DIR)
+      .filter(name => name.startsWith(tempId))
+      .forEach(name => cleanup(join(TEMP_DIR, name)));
+  } catch (err) {
+    console.error('Failed to list temp files:', err);
+  }
+}
+
+/**
+ * Remove the output files whisper writes next to each other
+ */
+function cleanupWhisperOutputs(outputDir, audioBaseName) {
+  ['.json', '.srt', '.txt', '.vtt', '.tsv'].forEach(ext => {
+    cleanup(join(outputDir, audioBaseName + ext));
+  });
+}
+
+// =============================================================================
+// TIME RANGES
+// =============================================================================
+
+/**
+ * Validate the time range from a request: { start, end } in seconds, end null for the end of the video
+ * @returns {{range: Object|null}|{error: string}}
+ */
+function parseTimeRange(range) {
+  if (range === null || range === undefined) return { range: null };
+  
+  // A string or number would otherwise read as the whole video, downloaded and billed in full
+  if (typeof range !== 'object' || Array.isArray(range) || (range.start === undefined && range.end === undefined)) {
+    return { error: 'range must be { start, end } in seconds' };
+  }
+  
+  const start = Number(range.start ?? 0);
+  const end = range.end === null || range.end === undefined ? null : Number(range.end);
+  
+  if (!Number.isFinite(start) || start < 0) {
+    return { error: 'range.start must be a number of seconds' };
+  }
+  if (end !== null && (!Number.isFinite(end) || end <= start)) {
+    return { error: 'range.end must be after range.start' };
+  }
+  
+  // Whole seconds, rounded outwards, so the store key doesn't change with every frame
+  return { range: { start: Math.floor(start), end: end === null ? null : Math.ceil(end) } };
+}
+
+/**
+ * Fit a requested range to the video's length
+ * @returns {Object|null} - null when the range covers the whole video
+ */
+function fitTimeRange(range, duration) {
+  if (!range) return null;
+  
+  if (duration && range.start >= duration) {
+    throw new Error('The time range starts after the end of the video.');
+  }
+  
+  const end = duration ? Math.min(range.end ?? duration, duration) : range.end;
+  if (range.start === 0 && (end === null || end >= duration)) return null;
+  
+  return { start: range.start, end };
+}
+
+/**
+ * "600-1800", as used in store keys and yt-dlp's --download-sections
+ */
+function formatTimeRange(range) {
+  return `${range.start}-${range.end ?? 'inf'}`;
+}
+
+/**
+ * Move every timestamp of a transcript later by offset seconds
+ * (a transcript of a downloaded section back into the video's timeline)
+ */
+function offsetTranscript(transcription, offset) {
+  const shift = (item) => ({ ...item, start: item.start + offset, end: item.end + offset });
+  
+  return {
+    ...transcription,
+    segments: transcription.segments.map(segment => ({
+      ...shift(segment),
+      ...(segment.words && { words: segment.words.map(shift) })
+    }))
+  };
+}
+
+/**
+ * Keep only the segments of a transcript that overlap a range
+ */
+function clipTranscript(transcription, range) {
+  const end = range.end ?? Infinity;
+  const segments = transcription.segments
+    .filter(segment => segment.end > range.start && segment.start < end)
+    .map((segment, index) => ({ ...segment, id: index }));
+  
+  return {
+    ...transcription,
+    text: segments.map(segment => segment.text).join(' '),
+    segments
+  };
+}
+
+// =============================================================================
+// YOUTUBE CAPTIONS
+// =============================================================================
+
+// Caption formats asked of yt-dlp, best first: srv3 has word timings for automatic captions
+const CAPTION_FORMATS = 'srv3/vtt/best';
+
+// When a request uses YouTube's captions instead of transcribing: never, manual ones, or automatic ones too
+const CAPTION_PREFERENCES = ['off', 'manual', 'any'];
+
+/**
+ * The caption track to use instead of transcribing, if there's a suitable one
+ * Manual captions in the requested language (or the video's own) come first. Automatic
+ * captions are only used in the video's language, since the rest are machine translations.
+ * @param {Object} videoInfo - From getVideoInfo
+ * @param {Object} options
+ * @param {string} options.language - Requested language or 'auto'
+ * @param {boolean} options.allowAutomatic - Fall back to automatic captions
+ * @returns {{ key: string, kind: 'manual'|'automatic', language: string }|null}
+ */
+function pickCaptionTrack(videoInfo, { language, allowAutomatic }) {
+  const { manual, automatic } = videoInfo.captions;
+  const baseLanguage = (key) => key.replace(/-orig$/, '').split('-')[0].toLowerCase();
+  const wanted = language && language !== 'auto' ? language : videoInfo.language && baseLanguage(videoInfo.language);
+  
+  const manualKey = wanted
+    ? manual.find(key => key === wanted) || manual.find(key => baseLanguage(key) === wanted)
+    : manual.length === 1 && manual[0];
+  if (manualKey) {
+    return { key: manualKey, kind: 'manual', language: baseLanguage(manualKey) };
+  }
+  
+  const videoLanguage = videoInfo.language && baseLanguage(videoInfo.language);
+  if (!allowAutomatic || !videoLanguage || (wanted && wanted !== videoLanguage)) return null;
+  
+  const automaticKey = automatic.find(key => key === `${videoLanguage}-orig`) || automatic.find(key => key === videoLanguage);
+  return automaticKey ? { key: automaticKey, kind: 'automatic', language: videoLanguage } : null;
+}
+
+/**
+ * Download one caption track with yt-dlp
+ * @returns {Promise<string>} - Path of the downloaded .srv3 or .vtt file
+ */
+async function downloadCaptions(url, outputPath, track, signal) {
+  await runTool('yt-dlp', [
+    '--skip-download',
+    track.kind === 'manual' ? '--write-subs' : '--write-auto-subs',
+    '--sub-langs', track.key,
+    '--sub-format', CAPTION_FORMATS,
+    '--no-playlist',
+    '--no-warnings',
+    '-o', outputPath,
+    url
+  ], signal);
+  
+  const prefix = basename(outputPath) + '.';
+  const file = readdirSync(dirname(outputPath)).find(name => name.startsWith(prefix) && /\.(srv3|vtt)$/.test(name));
+  if (!file) {
+    throw new Error('Captions not found after download');
+  }
+  return join(dirname(outputPath), file);
+}
+
+/**
+ * Decode the HTML entities YouTube uses in captions
+ */
+function decodeCaptionEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return named[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Caption text without markup, on one line
+ */
+function cleanCaptionText(text) {
+  return decodeCaptionEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse YouTube's srv3 (timedtext format 3) captions
+ * Automatic captions time each word (<s t="offset">); those are regrouped into
+ * sentence-like segments, the way Deepgram words are.
+ * @returns {{ text: string, segments: Array }}
+ */
+function parseSrv3(xml) {
+  const paragraphs = [...xml.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)]
+    .map(([, attributes, body]) => ({
+      start: Number(attributes.match(/\bt="(\d+)"/)?.[1] || 0) / 1000,
+      duration: Number(attributes.match(/\bd="(\d+)"/)?.[1] || 0) / 1000,
+      body
+    }))
+    .filter(paragraph => cleanCaptionText(paragraph.body));
+  
+  const hasWords = paragraphs.some(paragraph => /<s\b/.test(paragraph.body));
+  
+  const segments = paragraphs.map((paragraph, index) => {
+    // Automatic captions stay on screen while the next line appears
+    const next = paragraphs[index + 1];
+    const end = next ? Math.min(paragraph.start + paragraph.duration, next.start) : paragraph.start + paragraph.duration;
+    return { start: paragraph.start, end: Math.max(end, paragraph.start), text: cleanCaptionText(paragraph.body), body: paragraph.body };
+  });
+  
+  if (!hasWords) {
+    return { text: segments.map(segment => segment.text).join(' '), segments: segments.map(({ body, ...segment }) => segment) };
+  }
+  
+  const words = segments.flatMap(segment => {
+    const parts = [...segment.body.matchAll(/<s\b([^>]*)>([\s\S]*?)<\/s>/g)]
+      .map(([, attributes, text]) => ({
+        word: cleanCaptionText(text),
+        start: (Math.round(segment.start * 1000) + Number(attributes.match(/\bt="(\d+)"/)?.[1] || 0)) / 1000
+      }))
+      .filter(part => part.word);
+    
+    return parts.map((part, i) => ({ ...part, end: parts[i + 1]?.start ?? segment.end }));
+  });
+  
+  return { text: words.map(word => word.word).join(' '), segments: buildSegmentsFromWords(words) };
+}
+
+/**
+ * Seconds from a caption timestamp ("01:02:03.450" or "02:03.450")
+ */
+function parseCaptionTime(value) {
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Parse WebVTT captions
+ * YouTube's automatic VTT repeats the previous line at the top of each cue, so
+ * lines that were already shown are skipped.
+ * @returns {{ text: string, segments: Array }}
+ */
+function parseVtt(vtt) {
+  const segments = [];
+  let lastLine = null;
+  
+  for (const block of vtt.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue;
+    
+    const [start, end] = lines[timing].split('-->').map(part => parseCaptionTime(part.trim().split(/\s+/)[0]));
+    let textLines = lines.slice(timing + 1).map(cleanCaptionText).filter(Boolean);
+    
+    while (textLines.length && textLines[0] === lastLine) {
+      textLines = textLines.slice(1);
+    }
+    if (!textLines.length || end - start < 0.05) continue;
+    
+    lastLine = textLines[textLines.length - 1];
+    segments.push({ start, end, text: textLines.join(' ') });
+  }
+  
+  return { text: segments.map(segment => segment.text).join(' '), segments };
+}
+
+/**
+ * Fetch a video's captions as a transcript
+ * @returns {Promise<Object>} - Raw transcript for normalizeTranscript
+ */
+async function transcribeFromCaptions(url, outputPath, track, signal) {
+  const captionPath = await downloadCaptions(url, outputPath, track, signal);
+  const content = readFileSync(captionPath, 'utf-8');
+  const parsed = captionPath.endsWith('.srv3') ? parseSrv3(content) : parseVtt(content);
+  
+  return { ...parsed, language: track.language };
+}
+
+// =============================================================================
+// VOCABULARY HINTS
+// =============================================================================
+
+const MAX_VOCABULARY_TERMS = 100;
+const MAX_VOCABULARY_TERM_CHARS = 100;
+
+// Whisper only reads the last 224 tokens of its prompt; this stays comfortably under
+const MAX_PROMPT_CHARS = 800;
+
+/**
+ * Clean up the vocabulary from a request: trimmed, non-empty, unique strings
+ * @param {*} value - Expected to be an array of strings
+ * @returns {string[]}
+ */
+function normalizeVocabulary(value) {
+  if (!Array.isArray(value)) return [];
+  
+  const terms = value
+    .filter(term => typeof term === 'string')
+    .map(term => term.trim().slice(0, MAX_VOCABULARY_TERM_CHARS))
+    .filter(Boolean);
+  
+  return [...new Set(terms)].slice(0, MAX_VOCABULARY_TERMS);
+}
+
+/**
+ * Short, stable ID for a set of vocabulary hints, used in the store key
+ */
+function hashVocabulary(vocabulary, videoContext) {
+  return createHash('sha1')
+    .update(JSON.stringify({ vocabulary, videoContext: !!videoContext }))
+    .digest('hex')
+    .slice(0, 8);
+}
+
+/**
+ * Turn vocabulary hints into what each kind of provider understands
+ * Whisper engines get a prompt, free text the model treats as what came before
+ * the audio, so it picks up spellings from it. Deepgram gets the terms' words
+ * as keywords to boost.
+ * @param {string[]} vocabulary
+ * @param {Object|null} videoInfo - Title and channel to include as context, if asked for
+ * @returns {{ prompt: string|null, keywords: string[] }}
+ */
+function buildVocabularyHints(vocabulary, videoInfo = null) {
+  const context = videoInfo ? [videoInfo.title, videoInfo.channel] : [];
+  const parts = [...context, vocabulary.join(', ')]
+    .filter(Boolean)
+    .map(part => part.replace(/[\s.]*$/, '.'));
+  
+  // Whisper keeps the end of a long prompt, so the terms are put last and trimmed from the front
+  let prompt = parts.join(' ');
+  if (prompt.length > MAX_PROMPT_CHARS) {
+    prompt = prompt.slice(-MAX_PROMPT_CHARS).replace(/^\S*\s+/, '');
+  }
+  
+  const keywords = [...new Set(vocabulary.flatMap(term => term.split(/\s+/)))];
+  
+  return { prompt: prompt || null, keywords };
+}
+
+// =============================================================================
+// TRANSCRIPTION PROVIDERS
+// =============================================================================
+
+// Languages Whisper can transcribe (code → name); OpenAI's API reports the name instead of the code
+const WHISPER_LANGUAGES = {
+  en: 'english', zh: 'chinese', de: 'german', es: 'spanish', ru: 'russian', ko: 'korean',
+  fr: 'french', ja: 'japanese', pt: 'portuguese', tr: 'turkish', pl: 'polish', ca: 'catalan',
+  nl: 'dutch', ar: 'arabic', sv: 'swedish', it: 'italian', id: 'indonesian', hi: 'hindi',
+  fi: 'finnish', vi: 'vietnamese', he: 'hebrew', uk: 'ukrainian', el: 'greek', ms: 'malay',
+  cs: 'czech', ro: 'romanian', da: 'danish', hu: 'hungarian', ta: 'tamil', no: 'norwegian',
+  th: 'thai', ur: 'urdu', hr: 'croatian', bg: 'bulgarian', lt: 'lithuanian', la: 'latin',
+  mi: 'maori', ml: 'malayalam', cy: 'welsh', sk: 'slovak', te: 'telugu', fa: 'persian',
+  lv: 'latvian', bn: 'bengali', sr: 'serbian', az: 'azerbaijani', sl: 'slovenian', kn: 'kannada',
+  et: 'estonian', mk: 'macedonian', br: 'breton', eu: 'basque', is: 'icelandic', hy: 'armenian',
+  ne: 'nepali', mn: 'mongolian', bs: 'bosnian', kk: 'kazakh', sq: 'albanian', sw: 'swahili',
+  gl: 'galician', mr: 'marathi', pa: 'punjabi', si: 'sinhala', km: 'khmer', sn: 'shona',
+  yo: 'yoruba', so: 'somali', af: 'afrikaans', oc: 'occitan', ka: 'georgian', be: 'belarusian',
+  tg: 'tajik', sd: 'sindhi', gu: 'gujarati', am: 'amharic', yi: 'yiddish', lo: 'lao',
+  uz: 'uzbek', fo: 'faroese', ht: 'haitian creole', ps: 'pashto', tk: 'turkmen', nn: 'nynorsk',
+  mt: 'maltese', sa: 'sanskrit', lb: 'luxembourgish', my: 'myanmar', bo: 'tibetan', tl: 'tagalog',
+  mg: 'malagasy', as: 'assamese', tt: 'tatar', haw: 'hawaiian', ln: 'lingala', ha: 'hausa',
+  ba: 'bashkir', jw: 'javanese', su: 'sundanese', yue: 'cantonese'
+};
+
+const WHISPER_LANGUAGE_CODES = Object.fromEntries(
+  Object.entries(WHISPER_LANGUAGES).map(([code, name]) => [name, code])
+);
+
+const providers = new Map();
+
+/**
+ * Register a transcription provider
+ * 
+ * @param {Object} provider
+ * @param {string} provider.name - Identifier the client sends in X-Provider
+ * @param {string} provider.label - Display name
+ * @param {string} provider.mode - 'local' or 'api'
+ * @param {boolean} provider.requiresApiKey - Whether requests must carry an API key
+ * @param {string} [provider.apiKeyUrl] - Where users get a key
+ * @param {string[]} provider.languages - Supported language codes
+ * @param {Object} provider.capabilities - { wordTimestamps, diarization, translation }
+ * @param {Object} provider.pricing - { perMinute, currency }
+ * @param {Function} provider.getModel - (language) => model name used for the request
+ * @param {Function} [provider.isAvailable] - () => whether the provider can run on this machine
+ * @param {Function} provider.transcribe - (audioPath, options) => raw provider result
+ *   options carry language, diarize and vocabulary hints: `prompt` for Whisper-style engines, `keywords` for keyword boosting
+ * @param {Function} [provider.translate] - (audioPath, options) => raw result in English; needed for capabilities.translation
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider
+ * @returns {Object|null}
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Public description of a provider, as returned by /providers
+ */
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    label: provider.label,
+    mode: provider.mode,
+    requiresApiKey: provider.requiresApiKey,
+    apiKeyUrl: provider.apiKeyUrl || null,
+    languages: provider.languages,
+    capabilities: {
+      ...provider.capabilities,
+      // Providers without native diarization fall back to pyannote when it's installed
+      diarization: provider.capabilities.diarization || checkPyannote(),
+      // Without the provider's own (English only) translation, a text translator can still translate
+      translation: provider.capabilities.translation || !!findTranslator()
+    },
+    pricing: provider.pricing,
+    model: provider.getModel('auto'),
+    available: provider.isAvailable ? provider.isAvailable() : true
+  };
+}
+
+/**
+ * Convert a provider's language report into an ISO code
+ */
+function normalizeLanguage(detected, requested) {
+  const value = String(detected || '').toLowerCase();
+  
+  if (WHISPER_LANGUAGES[value]) return value;
+  if (WHISPER_LANGUAGE_CODES[value]) return WHISPER_LANGUAGE_CODES[value];
+  if (/^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(value)) return value;
+  
+  return requested && requested !== 'auto' ? requested : 'unknown';
+}
+
+/**
+ * Normalize any provider result into the transcript schema the extension expects:
+ * { text, language, duration, segments: [{ id, start, end, text, speaker?, words? }] }
+ * `speaker` is a 0-based index, present only when the transcript was diarized;
+ * `words` ([{ word, start, end }]) only when the provider reports word timings
+ */
+function normalizeTranscript(raw, { language } = {}) {
+  const segments = (raw.segments || [])
+    .map(segment => ({
+      start: Number(segment.start) || 0,
+      end: Number(segment.end) || 0,
+      text: String(segment.text || '').trim(),
+      ...(Number.isInteger(segment.speaker) && { speaker: segment.speaker }),
+      ...(Array.isArray(segment.words) && {
+        words: segment.words.map(word => ({
+          word: String(word.word).trim(),
+          start: Number(word.start) || 0,
+          end: Number(word.end) || 0
+        }))
+      })
+    }))
+    .filter(segment => segment.text)
+    .map((segment, index) => ({ id: index, ...segment }));
+  
+  const text = String(raw.text || segments.map(s => s.text).join(' ')).trim();
+  
+  return {
+    text,
+    language: normalizeLanguage(raw.language, language),
+    duration: Number(raw.duration) || segments[segments.length - 1]?.end || 0,
+    segments
+  };
+}
+
+/**
+ * Transcribe with a provider and normalize the result
+ */
+async function transcribeWithProvider(provider, audioPath, options) {
+  const raw = await provider.transcribe(audioPath, options);
+  return normalizeTranscript(raw, options);
+}
+
+registerProvider({
+  name: 'local',
+  label: 'Local Whisper',
+  mode: 'local',
+  requiresApiKey: false,
+  languages: Object.keys(WHISPER_LANGUAGES),
+  capabilities: { wordTimestamps: true, diarization: false, translation: true },
+  pricing: { perMinute: 0, currency: 'USD' },
+  getModel: () => LOCAL_WHISPER_MODEL,
+  isAvailable: () => cachedEngineCheck('whisper', checkLocalWhisper),
+  transcribe: (audioPath, { language, prompt, signal, onProgress }) => transcribeLocal(audioPath, { language, prompt, signal, onProgress }),
+  translate: (audioPath, { language, prompt, signal, onProgress }) => transcribeLocal(audioPath, { language, prompt, task: 'translate', signal, onProgress })
+});
+
+registerProvider({
+  name: 'whisper-cpp',
+  label: 'whisper.cpp',
+  mode: 'local',
+  requiresApiKey: false,
+  languages: Object.keys(WHISPER_LANGUAGES),
+  capabilities: { wordTimestamps: true, diarization: false, translation: true },
+  pricing: { perMinute: 0, currency: 'USD' },
+  getModel: () => basename(WHISPER_CPP_MODEL, '.bin').replace(/^ggml-/, ''),
+  isAvailable: () => checkWhisperCpp(),
+  transcribe: (audioPath, { language, prompt, signal, onProgress }) => transcribeWhisperCpp(audioPath, { language, prompt, signal, onProgress }),
+  translate: (audioPath, { language, prompt, signal, onProgress }) => transcribeWhisperCpp(audioPath, { language, prompt, task: 'translate', signal, onProgress })
+});
+
+registerProvider({
+  name: 'faster-whisper',
+  label: 'faster-whisper',
+  mode: 'local',
+  requiresApiKey: false,
+  languages: Object.keys(WHISPER_LANGUAGES),
+  capabilities: { wordTimestamps: true, diarization: false, translation: true },
+  pricing: { perMinute: 0, currency: 'USD' },
+  getModel: () => FASTER_WHISPER_MODEL,
+  isAvailable: () => checkFasterWhisper(),
+  transcribe: (audioPath, { language, prompt, signal, onProgress }) => transcribeFasterWhisper(audioPath, { language, prompt, signal, onProgress }),
+  translate: (audioPath, { language, prompt, signal, onProgress }) => transcribeFasterWhisper(audioPath, { language, prompt, task: 'translate', signal, onProgress })
+});
+
+// LOCAL_ENGINE names the engine; the original Python Whisper keeps the 'local' provider name
+const DEFAULT_LOCAL_PROVIDER = LOCAL_ENGINE === 'whisper' ? 'local' : LOCAL_ENGINE;
+
+if (getProvider(DEFAULT_LOCAL_PROVIDER)?.mode !== 'local') {
+  console.error(`Unknown LOCAL_ENGINE "${LOCAL_ENGINE}". Use whisper, whisper-cpp or faster-whisper.`);
+  process.exit(1);
+}
+
+registerProvider({
+  name: 'openai',
+  label: 'OpenAI Whisper',
+  mode: 'api',
+  requiresApiKey: true,
+  apiKeyUrl: 'https://platform.openai.com/api-keys',
+  languages: Object.keys(WHISPER_LANGUAGES),
+  capabilities: { wordTimestamps: true, diarization: false, translation: true },
+  pricing: { perMinute: 0.006, currency: 'USD' },
+  getModel: () => 'whisper-1',
+  transcribe: (audioPath, options) => transcribeOpenAI(audioPath, options),
+  translate: (audioPath, options) => transcribeOpenAI(audioPath, { ...options, task: 'translate' })
+});
+
+registerProvider({
+  name: 'deepgram',
+  label: 'Deepgram',
+  mode: 'api',
+  requiresApiKey: true,
+  apiKeyUrl: 'https://console.deepgram.com/',
+  // Nova-2 languages, everything else through Deepgram's hosted Whisper
+  languages: Object.keys(WHISPER_LANGUAGES),
+  capabilities: { wordTimestamps: true, diarization: true, translation: false },
+  pricing: { perMinute: 0.0043, currency: 'USD' },
+  getModel: (language) => getDeepgramModel(language),
+  transcribe: (audioPath, { apiKey, language, keywords, signal, diarize }) => transcribeDeepgram(audioPath, apiKey, { language, keywords, signal, diarize })
+});
+
+// =============================================================================
+// TRANSLATION
+// =============================================================================
+
+// Segments sent to a text translator per request
+const TRANSLATE_BATCH_SIZE = 50;
+
+const translators = new Map();
+
+/**
+ * Register a text translator, used for targets a provider can't translate audio into
+ * 
+ * @param {Object} translator
+ * @param {string} translator.name - Identifier, recorded with the transcripts it translated
+ * @param {string} translator.label - Display name
+ * @param {Function} translator.isAvailable - () => whether it's configured
+ * @param {Function} translator.translate - (texts, { source, target, signal }) => translated texts, in order
+ */
+function registerTranslator(translator) {
+  translators.set(translator.name, translator);
+}
+
+/**
+ * The first configured text translator
+ * @returns {Object|null}
+ */
+function findTranslator() {
+  return [...translators.values()].find(translator => translator.isAvailable()) || null;
+}
+
+/**
+ * Translate texts with a LibreTranslate-compatible endpoint
+ */
+async function translateWithLibreTranslate(texts, { source, target, signal }) {
+  const translated = [];
+  
+  for (let i = 0; i < texts.length; i += TRANSLATE_BATCH_SIZE) {
+    const batch = texts.slice(i, i + TRANSLATE_BATCH_SIZE);
+    const response = await fetch(`${TRANSLATE_URL.replace(/\/+$/, '')}/translate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: batch,
+        source: source && source !== 'unknown' ? source : 'auto',
+        target,
+        format: 'text',
+        ...(TRANSLATE_API_KEY && { api_key: TRANSLATE_API_KEY })
+      }),
+      signal
+    });
+    
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `Translation error: ${response.status}`);
+    }
+    
+    const result = await response.json();
+    translated.push(...[].concat(result.translatedText));
+  }
+  
+  return translated;
+}
+
+registerTranslator({
+  name: 'libretranslate',
+  label: 'LibreTranslate',
+  isAvailable: () => !!TRANSLATE_URL,
+  translate: translateWithLibreTranslate
+});
+
+/**
+ * Give each segment the translated text said during it
+ * Translated segments are split differently from the original, so each goes to
+ * the original segment its midpoint falls in (or the nearest one).
+ * @param {Array} segments - Original segments
+ * @param {Array} translatedSegments - Segments of the translated transcript
+ * @returns {Array} - Original segments with a `translation`
+ */
+function alignTranslation(segments, translatedSegments) {
+  const texts = segments.map(() => []);
+  
+  for (const translated of translatedSegments) {
+    const middle = (translated.start + translated.end) / 2;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    
+    segments.forEach((segment, index) => {
+      const distance = Math.max(segment.start - middle, middle - segment.end, 0);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+    
+    texts[nearest].push(translated.text);
+  }
+  
+  return segments.map((segment, index) => ({ ...segment, translation: texts[index].join(' ') }));
+}
+
+/**
+ * Add a `translation` to every segment of a transcript
+ * English comes from the provider when it can translate audio (Whisper's translate task);
+ * other targets, providers that can't and captions (no provider) go through a text translator.
+ * @returns {Promise<{ segments: Array, by: string }|null>} - null when nothing can translate into the target
+ */
+async function translateTranscript(transcription, { provider, audioPath, target, signal, onProgress = () => {}, ...options }) {
+  if (target === 'en' && provider?.translate) {
+    // The translation pass reports the same phases as transcribing
+    const raw = await provider.translate(audioPath, {
+      ...options,
+      signal,
+      onProgress: (progress) => onProgress({ ...progress, phase: progress.phase === 'transcribe' ? 'translate' : progress.phase })
+    });
+    const translated = normalizeTranscript(raw, { language: 'en' });
+    return { segments: alignTranslation(transcription.segments, translated.segments), by: provider.name };
+  }
+  
+  const translator = findTranslator();
+  if (!translator) return null;
+  
+  onProgress({ phase: 'translate', percent: null });
+  const texts = await translator.translate(transcription.segments.map(segment => segment.text), {
+    source: transcription.language,
+    target,
+    signal
+  });
+  
+  return {
+    segments: transcription.segments.map((segment, index) => ({ ...segment, translation: String(texts[index] ?? '').trim() })),
+    by: translator.name
+  };
+}
+
+// =============================================================================
+// TRANSCRIPT STORE
+// =============================================================================
+
+// One JSON file per transcript; summaries are kept in memory for listing
+const storeIndex = new Map();
+
+/**
+ * Build the store key for a transcript variant
+ */
+function getStoreKey({ videoId, mode, provider, model, language, options = {} }) {
+  const optionParts = Object.keys(options).sort()
+    .map(name => options[name] === true ? name : `${name}-${options[name]}`);
+  
+  return [videoId, mode, provider, model, language || 'auto', ...optionParts]
+    .map(part => String(part).replace(/[^a-zA-Z0-9_.-]/g, '-'))
+    .join('.');
+}
+
+/**
+ * Request options that change the transcript, so each combination is stored separately
+ * Only non-default options are included, which keeps keys of plain transcripts unchanged.
+ */
+function getTranscriptOptions({ diarize, vocabulary = [], videoContext = false, translate = null, range = null }) {
+  const options = {};
+  if (range) options.range = formatTimeRange(range);
+  if (diarize) options.diarize = true;
+  if (vocabulary.length || videoContext) options.vocab = hashVocabulary(vocabulary, videoContext);
+  if (translate) options.translate = translate;
+  return options;
+}
+
+/**
+ * Summary of a stored transcript (everything except the text and segments)
+ */
+function summarizeStoredTranscript(entry, size) {
+  const { result } = entry;
+  return {
+    key: entry.key,
+    videoId: entry.videoId,
+    mode: entry.mode,
+    provider: entry.provider,
+    model: entry.model,
+    language: entry.language,
+    options: entry.options || {},
+    source: result.source || 'transcription',
+    detectedLanguage: result.language,
+    title: result.title,
+    channel: result.channel,
+    duration: result.duration,
+    segmentCount: result.segments?.length || 0,
+    createdAt: entry.createdAt,
+    size
+  };
+}
+
+/**
+ * Load summaries of every stored transcript into memory
+ */
+function loadStoreIndex() {
+  storeIndex.clear();
+  
+  for (const name of readdirSync(STORE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    
+    const filePath = join(STORE_DIR, name);
+    try {
+      const entry = JSON.parse(readFileSync(filePath, 'utf-8'));
+      storeIndex.set(entry.key, summarizeStoredTranscript(entry, statSync(filePath).size));
+    } catch (e) {
+      console.error(`[Store] Skipping unreadable transcript ${name}:`, e.message);
+    }
+  }
+  
+  console.log(`[Store] ${storeIndex.size} stored transcript(s) in ${STORE_DIR}`);
+}
+
+/**
+ * Read a stored transcript
+ * @returns {Object|null} - Stored entry or null
+ */
+function readStoredTranscript(key) {
+  if (!storeIndex.has(key)) return null;
+  
+  try {
+    return JSON.parse(readFileSync(join(STORE_DIR, `${key}.json`), 'utf-8'));
+  } catch (e) {
+    console.error(`[Store] Failed to read ${key}:`, e.message);
+    storeIndex.delete(key);
+    return null;
+  }
+}
+
+/**
+ * Save a transcript (written to a temp file first so a crash never leaves half a file)
+ */
+function saveStoredTranscript({ videoId, mode, provider, model, language, options = {} }, result) {
+  const key = getStoreKey({ videoId, mode, provider, model, language, options });
+  const entry = {
+    key,
+    videoId,
+    mode,
+    provider,
+    model,
+    language: language || 'auto',
+    options,
+    createdAt: Date.now(),
+    result
+  };
+  
+  const filePath = join(STORE_DIR, `${key}.json`);
+  const json = JSON.stringify(entry);
+  writeFileSync(filePath + '.tmp', json);
+  renameSync(filePath + '.tmp', filePath);
+  
+  storeIndex.set(key, summarizeStoredTranscript(entry, Buffer.byteLength(json)));
+  console.log(`[Store] Saved transcript ${key}`);
+  return key;
+}
+
+/**
+ * Delete a stored transcript
+ * @returns {boolean} - False if it did not exist
+ */
+function deleteStoredTranscript(key) {
+  if (!storeIndex.has(key)) return false;
+  
+  storeIndex.delete(key);
+  cleanup(join(STORE_DIR, `${key}.json`));
+  return true;
+}
+
+// =============================================================================
+// CHILD PROCESS TRACKING
+// =============================================================================
+
+// Give a child this long to exit after SIGTERM before it is SIGKILLed
+const PROCESS_KILL_TIMEOUT_MS = 5000;
+
+// Every yt-dlp / whisper process currently running, so shutdown can stop them all
+const activeProcesses = new Set();
+
+/**
+ * Spawn a child process that is tracked and terminated when the signal aborts
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {AbortSignal} [signal] - Cancels the process (client disconnect or job cancel)
+ */
+function spawnProcess(command, args, signal) {
+  // Own process group so yt-dlp's ffmpeg children are killed along with it
+  const child = spawn(command, args, { detached: process.platform !== 'win32' });
+  const onAbort = () => terminateProcess(child);
+  
+  activeProcesses.add(child);
+  
+  const untrack = () => {
+    activeProcesses.delete(child);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  child.on('close', untrack);
+  child.on('error', untrack);
+  
+  if (signal) {
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+  
+  return child;
+}
+
+/**
+ * Send a signal to a child and everything it spawned
+ */
+function killProcessTree(child, signalName) {
+  try {
+    if (process.platform === 'win32') {
+      child.kill(signalName);
+    } else {
+      process.kill(-child.pid, signalName);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Ask a child process to stop, escalating to SIGKILL if it ignores SIGTERM
+ */
+function terminateProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null || child.terminating) return;
+  child.terminating = true;
+  
+  console.log(`[Process] Terminating ${child.spawnfile} (pid ${child.pid})`);
+  killProcessTree(child, 'SIGTERM');
+  
+  const timer = setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      killProcessTree(child, 'SIGKILL');
+    }
+  }, PROCESS_KILL_TIMEOUT_MS);
+  timer.unref();
+  child.once('close', () => clearTimeout(timer));
+}
+
+// =============================================================================
+// JOB MANAGEMENT
+// =============================================================================
+
+// Finished jobs are kept around so a reopened side panel can still collect the result
+const JOB_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+const TERMINAL_JOB_STATUSES = new Set(['complete', 'error', 'cancelled']);
+
+const jobs = new Map();
+
+/**
+ * Create a new transcription job
+ * Secrets such as the API key are passed to runTranscriptionJob directly and never stored on the job.
+ */
+function createJob({ url, language, mode, provider, force, diarize, vocabulary, videoContext, translate, captions, range }) {
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    request: { url, language, mode, provider, model: getProvider(provider).getModel(language), force, diarize, vocabulary, videoContext, translate, captions, range },
+    progress: null,
+    result: null,
+    error: null,
+    events: [],
+    listeners: new Set(),
+    controller: new AbortController(),
+    done: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Record an event on a job and forward it to every attached SSE stream
+ */
+function emitJobEvent(job, event) {
+  job.updatedAt = Date.now();
+  
+  // Progress events only matter while they're current, so they aren't kept for replay
+  if (event.status === 'progress') {
+    job.progress = event;
+    for (const listener of job.listeners) {
+      listener(event, null);
+    }
+    return;
+  }
+  
+  job.events.push(event);
+  
+  if (event.status === 'info') {
+    job.progress = { message: event.message };
+  }
+  
+  for (const listener of job.listeners) {
+    listener(event, job.events.length - 1);
+  }
+}
+
+/**
+ * Create a progress reporter for a job
+ * Drops updates that wouldn't move the progress bar and estimates ETA when the tool doesn't report one.
+ */
+function createProgressReporter(job) {
+  let last = null;
+  let phaseStartedAt = 0;
+  
+  return (progress) => {
+    const { phase, percent = null } = progress;
+    const now = Date.now();
+    
+    if (phase !== last?.phase) {
+      phaseStartedAt = now;
+    } else if (!progress.message && Math.floor(percent ?? -1) === Math.floor(last.percent ?? -1)) {
+      return;
+    }
+    
+    let eta = progress.eta ?? null;
+    if (eta === null && percent > 0 && percent < 100) {
+      eta = Math.round((now - phaseStartedAt) / 1000 * (100 - percent) / percent);
+    }
+    
+    last = { phase, percent };
+    emitJobEvent(job, {
+      status: 'progress',
+      phase,
+      percent: percent === null ? null : Math.round(percent * 10) / 10,
+      eta,
+      downloadedBytes: progress.downloadedBytes ?? null,
+      totalBytes: progress.totalBytes ?? null,
+      ...(progress.message && { message: progress.message }),
+      ...(progress.chunks && { chunks: progress.chunks })
+    });
+  };
+}
+
+/**
+ * Move a job into a terminal state and notify listeners
+ */
+function finishJob(job, status, payload = {}) {
+  if (TERMINAL_JOB_STATUSES.has(job.status)) return;
+  
+  job.status = status;
+  if (status === 'complete') job.result = payload.data;
+  if (status === 'error') job.error = payload.error;
+  
+  emitJobEvent(job, { status, ...payload });
+}
+
+/**
+ * Public view of a job (no listeners, controller or event history)
+ */
+function serializeJob(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    status: job.status,
+    videoId: extractVideoId(job.request.url),
+    mode: job.request.mode,
+    provider: job.request.provider,
+    model: job.request.model,
+    language: job.request.language,
+    options: getTranscriptOptions(job.request),
+    progress: job.progress,
+    result: includeResult ? job.result : undefined,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Request cancellation of a running job
+ * Aborting the controller kills the job's yt-dlp / whisper processes and in-flight API requests.
+ * @returns {boolean} - False if the job had already finished
+ */
+function cancelJob(job) {
+  if (TERMINAL_JOB_STATUSES.has(job.status)) return false;
+  
+  job.controller.abort();
+  finishJob(job, 'cancelled', { message: 'Transcription cancelled' });
+  return true;
+}
+
+/**
+ * Throw if the job has been cancelled, so long-running steps stop between phases
+ */
+function throwIfCancelled(job) {
+  if (job.controller.signal.aborted) {
+    throw new Error('Transcription cancelled');
+  }
+}
+
+/**
+ * Stream a job's events as SSE, replaying anything the client has not seen yet
+ */
+function streamJobEvents(job, req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  
+  const writeEvent = (event, index) => {
+    // Progress events have no id so they don't move the client's Last-Event-ID
+    res.write(`${index === null ? '' : `id: ${index}\n`}data: ${JSON.stringify(event)}\n\n`);
+    if (TERMINAL_JOB_STATUSES.has(event.status)) {
+      job.listeners.delete(writeEvent);
+      res.end();
+    }
+  };
+  
+  // Resume after the last event the client received (EventSource reconnects send Last-Event-ID)
+  const lastEventId = parseInt(req.headers['last-event-id'] ?? req.query.after ?? '-1', 10);
+  const startIndex = Number.isNaN(lastEventId) ? 0 : lastEventId + 1;
+  
+  for (let i = startIndex; i < job.events.length; i++) {
+    writeEvent(job.events[i], i);
+    if (res.writableEnded) return;
+  }
+  
+  // Catch a reconnecting client up with the current progress
+  if (job.progress?.status === 'progress') {
+    writeEvent(job.progress, null);
+  }
+  
+  job.listeners.add(writeEvent);
+  res.on('close', () => job.listeners.delete(writeEvent));
+}
+
+/**
+ * Pick the provider for a request
+ * Local mode only runs local engines; the requested one is used if it is local, else LOCAL_ENGINE.
+ */
+function resolveProviderName(mode, requested) {
+  const requestedProvider = getProvider(requested);
+  
+  if (mode === 'local') {
+    return requestedProvider?.mode === 'local' ? requested : DEFAULT_LOCAL_PROVIDER;
+  }
+  
+  return requested || 'openai';
+}
+
+/**
+ * Validate a transcription request body and headers
+ * @returns {{ params?: Object, error?: string }}
+ */
+function parseTranscriptionRequest(req) {
+  const { url, language = 'auto', force = false, diarize = false, vocabulary = [], videoContext = false, translate = null, captions = 'off', range = null } = req.body || {};
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
+  const mode = req.headers['x-mode'] || TRANSCRIPTION_MODE; // allow override
+  const provider = resolveProviderName(mode, req.headers['x-provider']);
+  
+  if (!url) {
+    return { error: 'URL is required' };
+  }
+  
+  if (!getProvider(provider)) {
+    return { error: `Unknown provider: ${provider}` };
+  }
+  
+  if (getProvider(provider).requiresApiKey && !apiKey) {
+    return { error: `API key required for ${provider} mode.` };
+  }
+  
+  if (!extractVideoId(url)) {
+    return { error: 'Invalid YouTube URL' };
+  }
+  
+  if (translate && !/^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(translate)) {
+    return { error: `Invalid translation language: ${translate}` };
+  }
+  
+  if (!CAPTION_PREFERENCES.includes(captions)) {
+    return { error: `captions must be one of: ${CAPTION_PREFERENCES.join(', ')}` };
+  }
+  
+  const timeRange = parseTimeRange(range);
+  if (timeRange.error) {
+    return { error: timeRange.error };
+  }
+  
+  return {
+    params: {
+      url,
+      language: language || 'auto',
+      mode,
+      provider,
+      apiKey,
+      force: !!force,
+      diarize: !!diarize,
+      vocabulary: normalizeVocabulary(vocabulary),
+      videoContext: !!videoContext,
+      translate: translate || null,
+      captions,
+      range: timeRange.range
+    }
+  };
+}
+
+/**
+ * Run the download + transcribe pipeline for a job
+ */
+async function runTranscriptionJob(job, { apiKey }) {
+  const { url, language, mode, provider, model, force, diarize, vocabulary, videoContext, translate, captions, range } = job.request;
+  let options = getTranscriptOptions(job.request);
+  const { signal } = job.controller;
+  const videoId = extractVideoId(url);
+  const sendEvent = (data) => emitJobEvent(job, data);
+  const reportProgress = createProgressReporter(job);
+  
+  let tempId = null;
+  job.status = 'running';
+  
+  // Reuse a stored transcript of the same variant unless the client asked for a fresh one
+  const finishFromStore = (storeKey, message) => {
+    const stored = force ? null : readStoredTranscript(storeKey);
+    if (!stored) return false;
+    
+    console.log(`[Job ${job.id}] Using stored transcript ${storeKey}`);
+    sendEvent({ status: 'info', message });
+    finishJob(job, 'complete', { data: { ...stored.result, requestedLanguage: stored.language, stored: true, storeKey } });
+    return true;
+  };
+  
+  try {
+    // A time range is only keyed once it's fitted to the video's length, so those are looked up below
+    if (!range && finishFromStore(getStoreKey({ videoId, mode, provider, model, language, options }), 'Loaded stored transcript')) {
+      return;
+    }
+    
+    sendEvent({ status: 'info', message: 'Fetching video info...' });
+    console.log(`[Job ${job.id}] Starting for video: ${videoId} (mode: ${mode}, provider: ${provider})`);
+    
+    // Get video info
+    const videoInfo = await getVideoInfo(url, { signal });
+    console.log(`[Job ${job.id}] Video: "${videoInfo.title}" (${videoInfo.duration}s)`);
+    throwIfCancelled(job);
+    
+    // Only the requested part of the video counts towards the limit
+    const timeRange = fitTimeRange(range, videoInfo.duration);
+    options = getTranscriptOptions({ ...job.request, range: timeRange });
+    
+    if (range && finishFromStore(getStoreKey({ videoId, mode, provider, model, language, options }), 'Loaded stored transcript')) {
+      return;
+    }
+    
+    if (!timeRange && videoInfo.duration > MAX_DURATION_SECONDS) {
+      throw new Error(`Video too long. Maximum duration is ${MAX_DURATION_SECONDS / 3600} hours.`);
+    }
+    
+    if (timeRange && (timeRange.end ?? videoInfo.duration) - timeRange.start > MAX_DURATION_SECONDS) {
+      throw new Error(`Time range too long. Maximum duration is ${MAX_DURATION_SECONDS / 3600} hours.`);
+    }
+    
+    if (videoInfo.isLive) {
+      throw new Error('Cannot transcribe live streams.');
+    }
+    
+    // What the transcript comes from: the provider, or YouTube's captions when asked for and available
+    const track = captions !== 'off' ? pickCaptionTrack(videoInfo, { language, allowAutomatic: captions === 'any' }) : null;
+    const providerInfo = track ? null : getProvider(provider);
+    const source = track ? { mode: 'captions', provider: 'youtube', model: track.kind } : { mode, provider, model };
+    const { prompt, keywords } = buildVocabularyHints(vocabulary, videoContext ? videoInfo : null);
+    tempId = randomUUID();
+    
+    if (captions !== 'off' && !track) {
+      sendEvent({ status: 'info', message: 'No suitable YouTube captions, transcribing instead' });
+    }
+    
+    let transcription;
+    let actualPath = null;
+    
+    if (track) {
+      // Captions have no speakers, and vocabulary hints don't apply to them
+      if (diarize) {
+        sendEvent({ status: 'info', message: 'YouTube captions don\'t identify speakers' });
+      }
+      options = getTranscriptOptions({ translate, range: timeRange });
+      
+      if (finishFromStore(getStoreKey({ videoId, ...source, language, options }), 'Loaded stored captions')) {
+        return;
+      }
+      
+      sendEvent({ status: 'info', message: `Downloading ${track.kind} YouTube captions...` });
+      console.log(`[Job ${job.id}] Using ${track.kind} captions (${track.key})`);
+      const raw = await transcribeFromCaptions(url, join(TEMP_DIR, tempId), track, signal);
+      transcription = normalizeTranscript(raw, { language: track.language });
+      if (timeRange) transcription = clipTranscript(transcription, timeRange);
+      throwIfCancelled(job);
+    } else {
+      // Download audio
+      sendEvent({ status: 'info', message: 'Downloading audio from YouTube...' });
+      console.log(`[Job ${job.id}] Downloading audio...`);
+      actualPath = await downloadAudio(url, join(TEMP_DIR, tempId), { signal, onProgress: reportProgress, range: timeRange });
+      console.log(`[Job ${job.id}] Audio downloaded:`, actualPath);
+      throwIfCancelled(job);
+      
+      // Transcribe
+      sendEvent({ status: 'info', message: `Transcribing with ${providerInfo.label}...` });
+      console.log(`[Job ${job.id}] Using ${providerInfo.label} (${model})...`);
+      reportProgress({ phase: 'transcribe', percent: null });
+      
+      transcription = await transcribeWithProvider(providerInfo, actualPath, {
+        apiKey,
+        language,
+        prompt,
+        keywords,
+        signal,
+        diarize,
+        onProgress: reportProgress
+      });
+      throwIfCancelled(job);
+    }
+    
+    if (diarize && providerInfo && !providerInfo.capabilities.diarization) {
+      if (checkPyannote()) {
+        sendEvent({ status: 'info', message: 'Identifying speakers...' });
+        const turns = await diarizeAudio(actualPath, { signal, onProgress: reportProgress });
+        transcription.segments = assignSpeakers(transcription.segments, turns);
+        throwIfCancelled(job);
+      } else {
+        // Still worth returning the transcript, just without speakers (and stored as the plain variant)
+        sendEvent({ status: 'info', message: 'Speaker detection unavailable (pip install pyannote.audio)' });
+        console.warn(`[Job ${job.id}] Diarization requested but pyannote.audio is not installed`);
+        delete options.diarize;
+      }
+    }
+    
+    let translation = null;
+    if (translate && translate === transcription.language) {
+      // Nothing to translate; stored as the plain variant
+      sendEvent({ status: 'info', message: 'Already in the translation language' });
+      delete options.translate;
+    } else if (translate) {
+      sendEvent({ status: 'info', message: 'Translating...' });
+      const translated = await translateTranscript(transcription, {
+        provider: providerInfo,
+        audioPath: actualPath,
+        target: translate,
+        apiKey,
+        language,
+        prompt,
+        signal,
+        onProgress: reportProgress
+      });
+      throwIfCancelled(job);
+      
+      if (translated) {
+        transcription.segments = translated.segments;
+        translation = { language: translate, by: translated.by };
+      } else {
+        sendEvent({ status: 'info', message: 'Translation unavailable (set TRANSLATE_URL to a LibreTranslate server)' });
+        console.warn(`[Job ${job.id}] Translation to ${translate} requested but no translator is configured`);
+        delete options.translate;
+      }
+    }
+    
+    // Timestamps of a downloaded section start at 0; captions are already in the video's timeline
+    if (timeRange && !track) {
+      transcription = offsetTranscript(transcription, timeRange.start);
+    }
+    
+    console.log(`[Job ${job.id}] Transcription complete!`);
+    sendEvent({ status: 'info', message: 'Finalizing...' });
+    
+    const resultData = {
+      videoId,
+      title: videoInfo.title,
+      channel: videoInfo.channel,
+      duration: videoInfo.duration,
+      text: transcription.text,
+      language: transcription.language,
+      segments: transcription.segments,
+      ...source,
+      source: track ? `${track.kind}-captions` : 'transcription',
+      requestedLanguage: language || 'auto',
+      ...(timeRange && { range: timeRange }),
+      ...(translation && { translation }),
+      options
+    };
+    
+    try {
+      resultData.storeKey = saveStoredTranscript({ videoId, ...source, language, options }, resultData);
+    } catch (e) {
+      // Not fatal - the client still gets its transcript
+      console.error(`[Job ${job.id}] Failed to store transcript:`, e.message);
+    }
+    
+    finishJob(job, 'complete', { data: resultData });
+    
+  } catch (error) {
+    if (signal.aborted) {
+      console.log(`[Job ${job.id}] Cancelled`);
+      return;
+    }
+    
+    console.error(`[Job ${job.id}] Error:`, error);
+    
+    let message = error.message;
+    if (message.includes('API key') || message.includes('quota')) {
+      message = 'API Authentication Failed: ' + message;
+    }
+    
+    finishJob(job, 'error', { error: message });
+    
+  } finally {
+    if (tempId) {
+      cleanupTempFiles(tempId);
+    }
+  }
+}
+
+// Drop finished jobs once nobody is likely to come back for them
+setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (TERMINAL_JOB_STATUSES.has(job.status) && job.updatedAt < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, 5 * 60 * 1000).unref();
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
+/**
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'ok', 
+    service: 'yt-transcription-server',
+    version: '1.1.0',
+    mode: TRANSCRIPTION_MODE,
+    model: TRANSCRIPTION_MODE === 'local' ? LOCAL_WHISPER_MODEL : 'whisper-1'
+  });
+});
+
+/**
+ * Check dependencies
+ */
+app.get('/check-deps', async (req, res) => {
+  const ytdlpInstalled = (() => {
+    try {
+      execSync('yt-dlp --version', { stdio: 'pipe' });
       return true;
     } catch {
       return false;
@@ -521,14 +2750,27 @@ app.get('/check-deps', async (req, res) => {
   const whisperInstalled = checkLocalWhisper();
   const isLocalMode = TRANSCRIPTION_MODE === 'local';
   
+  // Re-detect local engines rather than trusting the cached checks
+  engineChecks.clear();
+  const engines = {
+    whisper: whisperInstalled,
+    'whisper-cpp': checkWhisperCpp(),
+    'faster-whisper': checkFasterWhisper()
+  };
+  const diarization = checkPyannote();
+  
   res.json({
     ytdlp: ytdlpInstalled,
     ffmpeg: ffmpegInstalled,
     whisper: whisperInstalled,
     whisperRequired: isLocalMode, // Only required for local mode
+    engines,
+    localEngine: LOCAL_ENGINE,
+    diarization, // pyannote.audio, used when the provider can't diarize itself
+    whisperCppModel: WHISPER_CPP_MODEL,
     mode: TRANSCRIPTION_MODE,
-    model: LOCAL_WHISPER_MODEL,
-    ready: ytdlpInstalled && ffmpegInstalled && (!isLocalMode || whisperInstalled)
+    model: getProvider(DEFAULT_LOCAL_PROVIDER).getModel('auto'),
+    ready: ytdlpInstalled && ffmpegInstalled && (!isLocalMode || engines[LOCAL_ENGINE])
   });
 });
 
@@ -552,160 +2794,197 @@ app.post('/video-info', async (req, res) => {
 });
 
 /**
- * Main transcription endpoint
+ * List the videos of a playlist or channel, with what each would cost for the X-Mode / X-Provider in use
  */
-app.post('/transcribe', async (req, res) => {
-  const { url, language = 'auto' } = req.body;
-  const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-  const provider = req.headers['x-provider'] || 'openai'; // 'openai' or 'deepgram'
-  const mode = req.headers['x-mode'] || TRANSCRIPTION_MODE; // allow override
-  
-  let audioPath = null;
-  
-  // Setup SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  
-  const sendEvent = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+app.post('/playlist', async (req, res) => {
+  // A long channel takes a while to list; stop yt-dlp if the side panel gives up first
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
   
   try {
-    if (!url) {
-      sendEvent({ status: 'error', error: 'URL is required' });
-      return res.end();
-    }
-    
-    // For API mode, require API key
-    if (mode === 'api' && !apiKey && provider !== 'local') {
-      sendEvent({ status: 'error', error: `API key required for ${provider} mode.` });
-      return res.end();
-    }
-    
-    const videoId = extractVideoId(url);
-    if (!videoId) {
-      sendEvent({ status: 'error', error: 'Invalid YouTube URL' });
-      return res.end();
-    }
-    
-    sendEvent({ status: 'info', message: 'Fetching video info...' });
-    console.log(`[Transcribe] Starting for video: ${videoId} (mode: ${mode}, provider: ${provider})`);
-    
-    // Get video info
-    const videoInfo = await getVideoInfo(url);
-    console.log(`[Transcribe] Video: "${videoInfo.title}" (${videoInfo.duration}s)`);
-    
-    if (videoInfo.duration > MAX_DURATION_SECONDS) {
-      sendEvent({ status: 'error', error: `Video too long. Maximum duration is ${MAX_DURATION_SECONDS / 3600} hours.` });
-      return res.end();
-    }
+    const { url, limit = MAX_COLLECTION_ENTRIES } = req.body || {};
+    if (!url) return res.status(400).json({ error: 'URL is required' });
     
-    if (videoInfo.isLive) {
-      sendEvent({ status: 'error', error: 'Cannot transcribe live streams.' });
-      return res.end();
-    }
+    const collectionUrl = getCollectionUrl(url);
+    if (!collectionUrl) return res.status(400).json({ error: 'Not a YouTube playlist or channel URL' });
     
-    // Download audio
-    sendEvent({ status: 'info', message: 'Downloading audio from YouTube...' });
-    console.log('[Transcribe] Downloading audio...');
-    const tempId = randomUUID();
-    audioPath = join(TEMP_DIR, tempId);
-    const actualPath = await downloadAudio(url, audioPath);
-    console.log('[Transcribe] Audio downloaded:', actualPath);
+    const mode = req.headers['x-mode'] || TRANSCRIPTION_MODE;
+    const provider = getProvider(resolveProviderName(mode, req.headers['x-provider']));
+    if (!provider) return res.status(400).json({ error: 'Unknown provider' });
     
-    // Transcribe
-    let transcription;
+    const collection = await getCollectionEntries(collectionUrl, {
+      limit: Math.min(Math.max(parseInt(limit, 10) || MAX_COLLECTION_ENTRIES, 1), MAX_COLLECTION_ENTRIES),
+      signal: controller.signal
+    });
     
-    if (mode === 'local') {
-      sendEvent({ status: 'info', message: 'Transcribing with local Whisper...' });
-      console.log('[Transcribe] Using LOCAL Whisper model...');
-      transcription = await transcribeLocal(actualPath, { language });
-    } else {
-      if (provider === 'deepgram') {
-        sendEvent({ status: 'info', message: 'Transcribing with Deepgram API...' });
-        console.log('[Transcribe] Using Deepgram API...');
-        transcription = await transcribeDeepgram(actualPath, apiKey, { language });
-      } else {
-        sendEvent({ status: 'info', message: 'Transcribing with OpenAI Whisper...' });
-        console.log('[Transcribe] Using OpenAI Whisper API...');
-        transcription = await transcribeAPI(actualPath, apiKey, { language });
+    res.json({
+      success: true,
+      data: {
+        url: collectionUrl,
+        ...collection,
+        entries: collection.entries.map(entry => ({
+          ...entry,
+          // null when the listing doesn't say how long the video is
+          cost: entry.duration ? Number((Math.ceil(entry.duration / 60) * provider.pricing.perMinute).toFixed(4)) : null,
+          tooLong: entry.duration > MAX_DURATION_SECONDS
+        })),
+        mode: provider.mode,
+        provider: provider.name
       }
-    }
-    
-    console.log('[Transcribe] Transcription complete!');
-    sendEvent({ status: 'info', message: 'Finalizing...' });
-    
-    const resultData = {
-      videoId,
-      title: videoInfo.title,
-      channel: videoInfo.channel,
-      duration: videoInfo.duration,
-      text: transcription.text,
-      language: transcription.language,
-      segments: transcription.segments || [],
-      mode: mode,
-      provider: provider
-    };
-    
-    sendEvent({ status: 'complete', data: resultData });
-    res.end();
-    
+    });
   } catch (error) {
-    console.error('[Transcribe] Error:', error);
-    
-    let message = error.message;
-    if (message.includes('API key') || message.includes('quota')) {
-      message = 'API Authentication Failed: ' + message;
+    if (controller.signal.aborted) {
+      console.log('Playlist listing cancelled, client disconnected');
+      return;
     }
     
-    sendEvent({ status: 'error', error: message });
-    res.end();
-    
-  } finally {
-    if (audioPath) {
-      cleanup(audioPath);
-      cleanup(audioPath + '.mp3');
+    console.error('Playlist error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Main transcription endpoint (single SSE response for the whole run)
+ * Kept for simple clients; the side panel uses the /jobs API so it can reattach.
+ */
+app.post('/transcribe', (req, res) => {
+  const { params, error } = parseTranscriptionRequest(req);
+  
+  if (error) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.write(`data: ${JSON.stringify({ status: 'error', error })}\n\n`);
+    return res.end();
+  }
+  
+  const job = createJob(params);
+  streamJobEvents(job, req, res);
+  job.done = runTranscriptionJob(job, params);
+  
+  // Nobody can reattach to this stream, so stop the work when the client goes away
+  res.on('close', () => {
+    if (cancelJob(job)) {
+      console.log(`[Job ${job.id}] Client disconnected, cancelling`);
     }
+  });
+});
+
+/**
+ * Start a transcription job
+ */
+app.post('/jobs', (req, res) => {
+  const { params, error } = parseTranscriptionRequest(req);
+  if (error) return res.status(400).json({ error });
+  
+  const job = createJob(params);
+  job.done = runTranscriptionJob(job, params);
+  
+  res.status(202).json({ success: true, data: serializeJob(job) });
+});
+
+/**
+ * Get job status, progress and result
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  
+  res.json({ success: true, data: serializeJob(job) });
+});
+
+/**
+ * Stream job events (SSE), replaying past events first
+ */
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  
+  streamJobEvents(job, req, res);
+});
+
+/**
+ * Cancel a job
+ */
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  
+  const cancelled = cancelJob(job);
+  res.json({ success: true, cancelled, data: serializeJob(job, { includeResult: false }) });
+});
+
+/**
+ * List stored transcripts (optionally for one video)
+ */
+app.get('/transcripts', (req, res) => {
+  const { videoId } = req.query;
+  
+  const transcripts = [...storeIndex.values()]
+    .filter(summary => !videoId || summary.videoId === videoId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  
+  res.json({ success: true, data: transcripts });
+});
+
+/**
+ * Get a stored transcript
+ */
+app.get('/transcripts/:key', (req, res) => {
+  const entry = readStoredTranscript(req.params.key);
+  if (!entry) return res.status(404).json({ error: 'Transcript not found' });
+  
+  res.json({ success: true, data: entry });
+});
+
+/**
+ * Delete a stored transcript
+ */
+app.delete('/transcripts/:key', (req, res) => {
+  if (!deleteStoredTranscript(req.params.key)) {
+    return res.status(404).json({ error: 'Transcript not found' });
   }
+  
+  res.json({ success: true });
+});
+
+/**
+ * List transcription providers with their languages, capabilities and pricing
+ */
+app.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: [...providers.values()].map(describeProvider),
+    defaultMode: TRANSCRIPTION_MODE
+  });
 });
 
 /**
- * Estimate cost (only relevant for API mode)
+ * Estimate cost for the requested mode/provider
  */
 app.post('/estimate-cost', async (req, res) => {
   try {
     const { url } = req.body;
     if (!url) return res.status(400).json({ error: 'URL is required' });
     
+    const mode = req.headers['x-mode'] || TRANSCRIPTION_MODE;
+    const provider = getProvider(resolveProviderName(mode, req.headers['x-provider']));
+    if (!provider) return res.status(400).json({ error: 'Unknown provider' });
+    
     const info = await getVideoInfo(url);
     const minutes = Math.ceil(info.duration / 60);
+    const cost = minutes * provider.pricing.perMinute;
     
-    // Local mode is free!
-    if (TRANSCRIPTION_MODE === 'local') {
-      res.json({
-        success: true,
-        data: {
-          duration: info.duration,
-          minutes,
-          cost: '0.00',
-          formattedCost: 'FREE (local mode)',
-          mode: 'local'
-        }
-      });
-    } else {
-      const cost = minutes * 0.006;
-      res.json({
-        success: true,
-        data: {
-          duration: info.duration,
-          minutes,
-          cost: cost.toFixed(4),
-          formattedCost: `$${cost.toFixed(4)}`,
-          mode: 'api'
-        }
-      });
-    }
+    res.json({
+      success: true,
+      data: {
+        duration: info.duration,
+        minutes,
+        cost: cost.toFixed(4),
+        // Local mode is free!
+        formattedCost: cost === 0 ? 'FREE (local mode)' : `$${cost.toFixed(4)}`,
+        mode: provider.mode,
+        provider: provider.name
+      }
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -728,7 +3007,9 @@ app.use((err, req, res, next) => {
 // SERVER START
 // =============================================================================
 
-app.listen(PORT, () => {
+loadStoreIndex();
+
+const server = app.listen(PORT, () => {
   console.log('');
   console.log('═'.repeat(60));
   console.log('  Spoken Backend Server');
@@ -738,13 +3019,14 @@ app.listen(PORT, () => {
   console.log(`  Mode:       ${TRANSCRIPTION_MODE.toUpperCase()}`);
   
   if (TRANSCRIPTION_MODE === 'local') {
-    console.log(`  Model:      ${LOCAL_WHISPER_MODEL}`);
+    console.log(`  Engine:     ${LOCAL_ENGINE}`);
+    console.log(`  Model:      ${getProvider(DEFAULT_LOCAL_PROVIDER).getModel('auto')}`);
     console.log(`  Cost:       FREE! 🎉`);
     console.log('');
     console.log('  Requirements for LOCAL mode:');
     console.log('    ✓ yt-dlp (audio download)');
     console.log('    ✓ ffmpeg (audio conversion)');
-    console.log('    ✓ openai-whisper (transcription)');
+    console.log(`    ✓ ${LOCAL_ENGINE} (transcription)`);
   } else {
     console.log(`  Cost:       ~$0.006/min (OpenAI) or ~$0.0043/min (Deepgram)`);
     console.log('');
@@ -755,20 +3037,35 @@ app.listen(PORT, () => {
   }
   
   console.log(`  Temp Dir:   ${TEMP_DIR}`);
+  console.log(`  Data Dir:   ${DATA_DIR}`);
   console.log('');
   console.log('  Endpoints:');
   console.log('    GET  /health        - Health check');
   console.log('    GET  /check-deps    - Check dependencies');
   console.log('    POST /video-info    - Get video metadata');
   console.log('    POST /transcribe    - Transcribe YouTube video');
+  console.log('    POST /jobs          - Start transcription job');
+  console.log('    GET  /jobs/:id      - Job status / result');
+  console.log('    GET  /jobs/:id/events - Job progress (SSE)');
+  console.log('    DELETE /jobs/:id    - Cancel job');
+  console.log('    GET  /transcripts   - List stored transcripts');
+  console.log('    GET  /transcripts/:key - Get stored transcript');
+  console.log('    DELETE /transcripts/:key - Delete stored transcript');
+  console.log('    POST /playlist      - List playlist/channel entries');
+  console.log('    GET  /providers     - List transcription providers');
   console.log('    POST /estimate-cost - Estimate cost');
   console.log('═'.repeat(60));
   
   // Only warn about missing whisper if in local mode
-  if (TRANSCRIPTION_MODE === 'local' && !checkLocalWhisper()) {
+  if (TRANSCRIPTION_MODE === 'local' && !getProvider(DEFAULT_LOCAL_PROVIDER).isAvailable()) {
+    const installHints = {
+      whisper: 'pip install openai-whisper',
+      'whisper-cpp': `build whisper.cpp and download a model to ${WHISPER_CPP_MODEL}`,
+      'faster-whisper': 'pip install faster-whisper'
+    };
     console.log('');
-    console.log('⚠️  WARNING: Local Whisper not found!');
-    console.log('   Install with: pip install openai-whisper');
+    console.log(`⚠️  WARNING: Local engine ${LOCAL_ENGINE} not found!`);
+    console.log(`   Install with: ${installHints[LOCAL_ENGINE]}`);
     console.log('   Or switch to API mode: WHISPER_MODE=api npm start');
     console.log('');
   }
@@ -776,4 +3073,35 @@ app.listen(PORT, () => {
   console.log('');
   console.log('Ready to receive requests!');
   console.log('');
-});
\ No newline at end of file
+});
+
+/**
+ * Graceful shutdown: cancel in-flight jobs, kill their processes and let them clean up temp files
+ */
+async function shutdown(signalName) {
+  console.log(`\n[Server] ${signalName} received, shutting down...`);
+  
+  const pending = [];
+  for (const job of jobs.values()) {
+    if (cancelJob(job)) {
+      console.log(`[Server] Cancelled job ${job.id}`);
+    }
+    if (job.done) pending.push(job.done);
+  }
+  
+  for (const child of activeProcesses) {
+    terminateProcess(child);
+  }
+  
+  server.close();
+  server.closeAllConnections?.();
+  
+  // Jobs finish (and delete their temp files) once their processes exit
+  const timeout = new Promise(resolve => setTimeout(resolve, PROCESS_KILL_TIMEOUT_MS + 1000));
+  await Promise.race([Promise.allSettled(pending), timeout]);
+  
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));